@@ -0,0 +1,447 @@
+// RFC 9111 private HTTP cache middleware for `makeFetch`
+const {createHash, randomUUID} = require('crypto')
+const fs = require('fs/promises')
+const path = require('path')
+const {ReadableStream} = require('stream/web')
+const debug = require('debug')
+const dbg = debug('fetch:cache')
+const {Headers, Response} = require('./fetch-api')
+
+// https://www.rfc-editor.org/rfc/rfc9110#section-15.1
+const HEURISTIC_STATUSES = new Set([
+	200, 203, 204, 206, 300, 301, 308, 404, 405, 410, 414, 501,
+])
+
+// Kept from the stored response when a 304 updates it
+const CONTENT_HEADERS = new Set([
+	'content-length',
+	'content-encoding',
+	'content-type',
+	'content-range',
+	'transfer-encoding',
+])
+
+/**
+ * Parses a Cache-Control header into `{directive: value | true}`.
+ *
+ * @param {string | null} header
+ * @returns {{[directive: string]: string | true}}
+ */
+const parseCacheControl = header => {
+	const directives = {}
+	for (const part of (header || '').split(',')) {
+		const [name, value] = part.split('=')
+		if (!name.trim()) continue
+		directives[name.trim().toLowerCase()] =
+			value === undefined ? true : value.trim().replace(/^"|"$/g, '')
+	}
+	return directives
+}
+
+/**
+ * Number of seconds of a directive in ms, `undefined` when absent.
+ *
+ * @param {string | true | undefined} value
+ */
+const seconds = value => {
+	const n = Number(value)
+	return value === undefined || value === true || Number.isNaN(n)
+		? undefined
+		: n * 1000
+}
+
+const getKey = resource =>
+	new URL(
+		typeof resource === 'string' || resource instanceof URL
+			? resource
+			: resource.url
+	).href
+
+/**
+ * Keeps entries in memory, evicting the least recently used ones beyond `max`
+ * entries.
+ */
+class MemoryCacheStore {
+	constructor({max = 500} = {}) {
+		this.max = max
+		/** @type {Map<string, CacheEntry>} */
+		this.entries = new Map()
+	}
+
+	get(key) {
+		const entry = this.entries.get(key)
+		if (entry) {
+			this.entries.delete(key)
+			this.entries.set(key, entry)
+		}
+		return entry
+	}
+
+	set(key, entry) {
+		this.entries.delete(key)
+		this.entries.set(key, entry)
+		for (const oldest of this.entries.keys()) {
+			if (this.entries.size <= this.max) break
+			this.entries.delete(oldest)
+		}
+	}
+
+	delete(key) {
+		this.entries.delete(key)
+	}
+}
+
+/**
+ * Keeps entries as files in `dir`, a JSON file with the metadata and a file
+ * with the body per entry.
+ */
+class FileCacheStore {
+	constructor(dir) {
+		this.dir = dir
+	}
+
+	_path(key) {
+		return path.join(this.dir, createHash('sha256').update(key).digest('hex'))
+	}
+
+	async get(key) {
+		const file = this._path(key)
+		try {
+			const meta = JSON.parse(await fs.readFile(`${file}.json`, 'utf8'))
+			if (meta.key !== key) return
+			return {...meta, body: await fs.readFile(`${file}.body`)}
+		} catch (error) {
+			if (error.code !== 'ENOENT') dbg(`reading ${file} failed`, error)
+		}
+	}
+
+	async set(key, entry) {
+		const file = this._path(key)
+		const {body, ...meta} = entry
+		await fs.mkdir(this.dir, {recursive: true})
+		// Write the body first, a metadata file always has its body
+		const tmp = () => `${file}.${randomUUID()}.tmp`
+		const bodyTmp = tmp()
+		await fs.writeFile(bodyTmp, body)
+		await fs.rename(bodyTmp, `${file}.body`)
+		const metaTmp = tmp()
+		await fs.writeFile(metaTmp, JSON.stringify({...meta, key}))
+		await fs.rename(metaTmp, `${file}.json`)
+	}
+
+	async delete(key) {
+		const file = this._path(key)
+		await fs.rm(`${file}.json`, {force: true})
+		await fs.rm(`${file}.body`, {force: true})
+	}
+}
+
+/**
+ * Ms since the entry was received at the origin, per RFC 9111 4.2.3.
+ *
+ * @param {CacheEntry} entry
+ * @param {number}     now
+ */
+const currentAge = (entry, now) =>
+	entry.initialAge + Math.max(0, now - entry.responseTime)
+
+/**
+ * Freshness lifetime in ms, per RFC 9111 4.2.1 and 4.2.2.
+ *
+ * @param {CacheEntry} entry
+ */
+const freshnessLifetime = entry => {
+	const headers = new Map(entry.headers)
+	const cc = parseCacheControl(headers.get('cache-control'))
+	const maxAge = seconds(cc['max-age'])
+	if (maxAge !== undefined) return maxAge
+	const date = Date.parse(headers.get('date')) || entry.responseTime
+	const expires = headers.get('expires')
+	// Invalid Expires means already expired
+	if (expires) return Math.max(0, (Date.parse(expires) || 0) - date)
+	const lastModified = Date.parse(headers.get('last-modified'))
+	if (lastModified) return Math.max(0, (date - lastModified) / 10)
+	return 0
+}
+
+/**
+ * @param {Headers}  requestHeaders
+ * @param {Response} response
+ * @param {Buffer}   body
+ * @param {number}   requestTime
+ * @returns {CacheEntry}
+ */
+const makeEntry = (requestHeaders, response, body, requestTime) => {
+	const responseTime = Date.now()
+	const {headers} = response
+	const date = Date.parse(headers.get('date') || '') || responseTime
+	const apparentAge = Math.max(0, responseTime - date)
+	const ageValue = (Number(headers.get('age')) || 0) * 1000
+	const vary = {}
+	for (const name of (headers.get('vary') || '').split(',')) {
+		const header = name.trim().toLowerCase()
+		if (header) vary[header] = requestHeaders.get(header)
+	}
+	return {
+		status: response.status,
+		statusText: response.statusText,
+		headers: [...headers],
+		vary,
+		requestTime,
+		responseTime,
+		initialAge: Math.max(apparentAge, ageValue + responseTime - requestTime),
+		body,
+	}
+}
+
+/**
+ * Whether `response` may be stored, per RFC 9111 3.
+ *
+ * @param {Response} response
+ * @param {{[directive: string]: string | true}} requestCc
+ */
+const isStorable = (response, requestCc) => {
+	const {headers} = response
+	const cc = parseCacheControl(headers.get('cache-control'))
+	if (requestCc['no-store'] || cc['no-store']) return false
+	if (headers.get('vary')?.trim() === '*') return false
+	if (!HEURISTIC_STATUSES.has(response.status) || response.status === 206)
+		return false
+	return (
+		cc['max-age'] !== undefined ||
+		headers.has('expires') ||
+		cc.public ||
+		headers.has('last-modified') ||
+		headers.has('etag')
+	)
+}
+
+/**
+ * Caches GET responses following RFC 9111 as a private cache. Fresh responses
+ * are served from `store`, stale ones are revalidated with
+ * `If-None-Match`/`If-Modified-Since`, or served while revalidating in the
+ * background (`stale-while-revalidate`) or when the origin fails
+ * (`stale-if-error`). The `cache` request option works like in browsers.
+ * `state.cache` tells how the response was served. Background revalidations go
+ * through `fetch`, index.js passes its own.
+ *
+ * @param {(resource: Resource, options: FetchOptions) => FetchPromise} fetch
+ * @param {CacheOptions} [options]
+ * @returns {Middleware & {store: CacheStore}}
+ */
+const cache = (
+	fetch,
+	{store = new MemoryCacheStore(), maxEntrySize = 10e6} = {}
+) => {
+	const fromEntry = (entry, now) => {
+		const headers = new Headers(entry.headers)
+		headers.set('age', String(Math.round(currentAge(entry, now) / 1000)))
+		return new Response(entry.status === 204 ? null : entry.body, {
+			status: entry.status,
+			statusText: entry.statusText,
+			headers,
+		})
+	}
+
+	const store304 = async (key, entry, response, requestTime) => {
+		const headers = new Headers(entry.headers)
+		for (const [name, value] of response.headers) {
+			if (!CONTENT_HEADERS.has(name)) headers.set(name, value)
+		}
+		const updated = {
+			...makeEntry(new Headers(), response, entry.body, requestTime),
+			status: entry.status,
+			statusText: entry.statusText,
+			headers: [...headers],
+			vary: entry.vary,
+		}
+		await store.set(key, updated)
+		return updated
+	}
+
+	/**
+	 * Stores the body once the consumer read all of it, returns the response
+	 * for the consumer.
+	 */
+	const storeResponse = (key, requestHeaders, response, requestTime) => {
+		const size = Number(response.headers.get('content-length'))
+		if (size > maxEntrySize) return response
+		if (!response.body) {
+			const entry = makeEntry(
+				requestHeaders,
+				response,
+				Buffer.alloc(0),
+				requestTime
+			)
+			Promise.resolve(store.set(key, entry)).catch(error =>
+				dbg(`storing ${key} failed`, error)
+			)
+			return response
+		}
+		// Read the origin only as the consumer reads, collecting up to maxEntrySize
+		const reader = response.body.getReader()
+		/** @type {Uint8Array[] | undefined} */
+		let chunks = []
+		let length = 0
+		const save = async () => {
+			const entry = makeEntry(
+				requestHeaders,
+				response,
+				Buffer.concat(chunks),
+				requestTime
+			)
+			await store.set(key, entry)
+			dbg(`stored ${key}`)
+		}
+		const body = new ReadableStream({
+			async pull(controller) {
+				const {done, value} = await reader.read()
+				if (done) {
+					controller.close()
+					if (chunks) save().catch(error => dbg(`storing ${key} failed`, error))
+					return
+				}
+				length += value.byteLength
+				if (chunks && length > maxEntrySize) chunks = undefined
+				// The consumer may transfer the chunk's buffer
+				chunks?.push(value.slice())
+				controller.enqueue(value)
+			},
+			cancel: reason => reader.cancel(reason),
+		})
+		return new Response(body, response)
+	}
+
+	/** Refreshes the entry with the whole pipeline, ignoring the outcome */
+	const revalidateInBackground = (resource, state) => {
+		const {signal: _signal, onProgress: _onProgress, ...options} = state.options
+		fetch(resource, {...options, cache: 'no-cache'})
+			.then(res => res.arrayBuffer())
+			.catch(error => dbg(`background revalidation failed`, error))
+	}
+
+	const middleware = next => async (resource, options, state) => {
+		const key = getKey(resource)
+		const method = (options.method || 'GET').toUpperCase()
+		const requestHeaders = new Headers(options.headers || resource.headers)
+		const requestCc = parseCacheControl(requestHeaders.get('cache-control'))
+		const mode = options.cache || 'default'
+
+		if (method !== 'GET') {
+			const response = await next(resource, options, state)
+			// Unsafe methods invalidate the stored response
+			if (method !== 'HEAD' && response.status < 400) await store.delete(key)
+			return response
+		}
+		if (mode === 'no-store' || requestHeaders.has('range'))
+			return next(resource, options, state)
+
+		const now = Date.now()
+		let entry = mode === 'reload' ? undefined : await store.get(key)
+		if (
+			entry &&
+			Object.entries(entry.vary).some(
+				([name, value]) => requestHeaders.get(name) !== value
+			)
+		)
+			entry = undefined
+
+		if (entry) {
+			const age = currentAge(entry, now)
+			const lifetime = freshnessLifetime(entry)
+			const cc = parseCacheControl(new Map(entry.headers).get('cache-control'))
+			const requestMaxAge = seconds(requestCc['max-age'])
+			const fresh =
+				mode === 'force-cache' ||
+				mode === 'only-if-cached' ||
+				(mode !== 'no-cache' &&
+					!requestCc['no-cache'] &&
+					!cc['no-cache'] &&
+					age < lifetime &&
+					(requestMaxAge === undefined || age < requestMaxAge))
+			if (fresh) {
+				state.cache = 'hit'
+				return fromEntry(entry, now)
+			}
+			const staleFor = age - lifetime
+			const swr = seconds(cc['stale-while-revalidate'])
+			if (
+				mode === 'default' &&
+				!cc['must-revalidate'] &&
+				!cc['no-cache'] &&
+				!requestCc['no-cache'] &&
+				swr !== undefined &&
+				staleFor < swr
+			) {
+				state.cache = 'hit'
+				revalidateInBackground(resource, state)
+				return fromEntry(entry, now)
+			}
+		}
+		if (mode === 'only-if-cached') {
+			state.cache = 'miss'
+			return new Response(null, {status: 504, statusText: 'Not Cached'})
+		}
+
+		const conditional = new Headers(requestHeaders)
+		const stored = entry && new Map(entry.headers)
+		if (stored?.has('etag'))
+			conditional.set('if-none-match', stored.get('etag'))
+		if (stored?.has('last-modified'))
+			conditional.set('if-modified-since', stored.get('last-modified'))
+
+		const staleIfError = () => {
+			if (!entry) return
+			const cc = parseCacheControl(stored?.get('cache-control'))
+			const sie =
+				seconds(cc['stale-if-error']) ?? seconds(requestCc['stale-if-error'])
+			const staleFor = currentAge(entry, Date.now()) - freshnessLifetime(entry)
+			if (!cc['must-revalidate'] && sie !== undefined && staleFor < sie)
+				return entry
+		}
+
+		const requestTime = Date.now()
+		let response
+		try {
+			response = await next(resource, {...options, headers: conditional}, state)
+		} catch (error) {
+			const stale = staleIfError()
+			if (!stale) throw error
+			dbg(`${key} failed, serving stale`, error)
+			// eslint-disable-next-line require-atomic-updates
+			state.cache = 'hit'
+			return fromEntry(stale, Date.now())
+		}
+
+		if (entry && response.status === 304) {
+			response.body?.cancel().catch(() => {})
+			// eslint-disable-next-line require-atomic-updates
+			state.cache = 'revalidated'
+			const updated = await store304(key, entry, response, requestTime)
+			return fromEntry(updated, Date.now())
+		}
+		if (response.status >= 500) {
+			const stale = staleIfError()
+			if (stale) {
+				response.body?.cancel().catch(() => {})
+				// eslint-disable-next-line require-atomic-updates
+				state.cache = 'hit'
+				return fromEntry(stale, Date.now())
+			}
+		}
+
+		// eslint-disable-next-line require-atomic-updates
+		state.cache = 'miss'
+		if (!isStorable(response, requestCc)) return response
+		return storeResponse(key, requestHeaders, response, requestTime)
+	}
+
+	return Object.assign(middleware, {store})
+}
+
+module.exports = {
+	cache,
+	MemoryCacheStore,
+	FileCacheStore,
+	parseCacheControl,
+}
@@ -0,0 +1,182 @@
+// Clients with a base URL and default options on top of `makeFetch`
+const {Headers} = require('./fetch-api')
+
+// `makeFetch` options that build the shared middleware
+const LIMIT_OPTIONS = [
+	'middleware',
+	'maxParallel',
+	'maxQueued',
+	'maxRps',
+	'perOrigin',
+	'circuitBreaker',
+	'cache',
+	'dedupe',
+]
+
+/**
+ * Whether `key` is a `makeFetch` option. A string `cache` is the request's
+ * cache mode.
+ *
+ * @param {string} key
+ * @param {any}    value
+ */
+const isLimitOption = (key, value) =>
+	LIMIT_OPTIONS.includes(key) && !(key === 'cache' && typeof value === 'string')
+
+/**
+ * Throws for `makeFetch` options given per call or to `extend`, they would be
+ * ignored.
+ *
+ * @param {ClientOptions} [options]
+ */
+const checkOptions = options => {
+	for (const [key, value] of Object.entries(options || {})) {
+		if (value !== undefined && isLimitOption(key, value))
+			throw new TypeError(
+				`\`${key}\` can only be given to createClient, not per call or to extend()`
+			)
+	}
+}
+
+/**
+ * Merges header sets, later ones override earlier ones per header.
+ *
+ * @param {...(HeadersInit | undefined)} sets
+ */
+const mergeHeaders = (...sets) => {
+	const headers = new Headers()
+	for (const set of sets) {
+		for (const [name, value] of new Headers(set)) headers.set(name, value)
+	}
+	return headers
+}
+
+/**
+ * Merges query parameter sets, later ones replace all values of a name.
+ * `undefined` values in objects are skipped.
+ *
+ * @param {...(SearchParamsInit | undefined)} sets
+ */
+const mergeSearchParams = (...sets) => {
+	const params = new URLSearchParams()
+	for (const set of sets) {
+		if (!set) continue
+		const entries =
+			typeof set === 'string' || set instanceof URLSearchParams
+				? [...new URLSearchParams(set)]
+				: Array.isArray(set)
+				? set
+				: Object.entries(set).filter(([, value]) => value !== undefined)
+		for (const [name] of entries) params.delete(name)
+		for (const [name, value] of entries) params.append(name, String(value))
+	}
+	return params
+}
+
+/**
+ * Merges client options, `headers`, `timeouts` and `searchParams` are merged,
+ * other options replaced.
+ *
+ * @param {ClientOptions} base
+ * @param {ClientOptions} [overrides]
+ * @returns {ClientOptions}
+ */
+const mergeOptions = (base, overrides = {}) => {
+	const merged = {...base, ...overrides}
+	if (base.headers || overrides.headers)
+		merged.headers = mergeHeaders(base.headers, overrides.headers)
+	if (base.timeouts || overrides.timeouts)
+		merged.timeouts = {...base.timeouts, ...overrides.timeouts}
+	if (base.searchParams || overrides.searchParams)
+		merged.searchParams = mergeSearchParams(
+			base.searchParams,
+			overrides.searchParams
+		)
+	return merged
+}
+
+/**
+ * Resolves `resource` against `baseURL` and adds `searchParams`. Relative paths
+ * are appended to the base URL path, also when they start with `/`.
+ *
+ * @param {Resource}        resource
+ * @param {string | URL}    [baseURL]
+ * @param {URLSearchParams} [searchParams]
+ * @returns {Resource}
+ */
+const resolveResource = (resource, baseURL, searchParams) => {
+	if (typeof resource !== 'string' && !(resource instanceof URL)) {
+		return resource
+	}
+	let url
+	if (resource instanceof URL || !baseURL || /^[a-z][\w+.-]*:/i.test(resource))
+		url = new URL(resource)
+	else {
+		const base = String(baseURL)
+		url = new URL(
+			resource.replace(/^\//, ''),
+			base.endsWith('/') ? base : `${base}/`
+		)
+	}
+	if (searchParams) {
+		for (const [name, value] of searchParams)
+			url.searchParams.append(name, value)
+	}
+	return url.href
+}
+
+/**
+ * Makes a `fetch` with a `baseURL`, default `headers`, `searchParams` and other
+ * fetch options. `headers`, `timeouts` and `searchParams` are merged with the
+ * ones of each call. `client.extend(overrides)` derives a client that merges
+ * `overrides` the same way and shares the middleware and limits, which can only
+ * be given to `createClient`. index.js passes its `makeFetch`.
+ *
+ * @param {(config: MakeFetchOptions) => any} makeFetch
+ * @param {ClientOptions} [config]
+ * @returns {Client}
+ */
+const createClient = (makeFetch, config = {}) => {
+	const limits = {}
+	const defaults = {}
+	for (const [key, value] of Object.entries(config)) {
+		if (isLimitOption(key, value)) limits[key] = value
+		else defaults[key] = value
+	}
+	return makeClient(makeFetch(limits), defaults)
+}
+
+/**
+ * @param {(resource: Resource, options?: FetchOptions) => Promise<any>} doFetch
+ * @param {ClientOptions} defaults
+ * @returns {Client}
+ */
+const makeClient = (doFetch, defaults) => {
+	/**
+	 * @param {Resource}      resource
+	 * @param {ClientOptions} [options]
+	 */
+	const client = (resource, options) => {
+		checkOptions(options)
+		const {baseURL, searchParams, ...merged} = mergeOptions(defaults, options)
+		if (typeof resource === 'object' && 'headers' in resource)
+			merged.headers = mergeHeaders(
+				defaults.headers,
+				resource.headers,
+				options?.headers
+			)
+		return doFetch(resolveResource(resource, baseURL, searchParams), merged)
+	}
+	return Object.assign(client, {
+		options: defaults,
+		/** @param {ClientOptions} overrides */
+		extend: overrides => {
+			checkOptions(overrides)
+			return makeClient(doFetch, mergeOptions(defaults, overrides))
+		},
+		circuitBreaker: /** @type {any} */ (doFetch).circuitBreaker,
+		cache: /** @type {any} */ (doFetch).cache,
+	})
+}
+
+module.exports = {createClient}
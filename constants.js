@@ -9,4 +9,43 @@ const RESPONSE_TYPES = new Set([
 
 const STATE_INTERNAL = Symbol('INTERNAL')
 
-module.exports = {RESPONSE_TYPES, STATE_INTERNAL}
+// https://www.rfc-editor.org/rfc/rfc9110#section-9.2.2
+const IDEMPOTENT_METHODS = new Set([
+	'GET',
+	'HEAD',
+	'OPTIONS',
+	'TRACE',
+	'PUT',
+	'DELETE',
+])
+
+// Transient socket failures, DNS lookup failures like ENOTFOUND are not here
+const RETRYABLE_ERROR_CODES = new Set([
+	'ECONNRESET',
+	'ECONNREFUSED',
+	'EPIPE',
+	'ETIMEDOUT',
+	'EAI_AGAIN',
+	'UND_ERR_SOCKET',
+	'UND_ERR_CONNECT_TIMEOUT',
+	'UND_ERR_HEADERS_TIMEOUT',
+	'UND_ERR_BODY_TIMEOUT',
+])
+
+// Header and query parameter names redacted in logs and errors by default
+const DEFAULT_REDACT = [
+	'authorization',
+	'proxy-authorization',
+	'cookie',
+	'set-cookie',
+	'api-key',
+	'x-api-key',
+]
+
+module.exports = {
+	RESPONSE_TYPES,
+	STATE_INTERNAL,
+	IDEMPOTENT_METHODS,
+	RETRYABLE_ERROR_CODES,
+	DEFAULT_REDACT,
+}
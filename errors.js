@@ -1,45 +1,350 @@
-class HttpError extends Error {
-	constructor(status, statusText, response, state) {
-		const {
-			fullId,
-			options: {method},
-			resource,
-		} = state
-		super(`${fullId} HTTP ${status} - ${statusText} (${method} ${resource})`)
+const {DOMException} = require('./fetch-api')
+const {getRedactNames, redactHeaders, redactUrl} = require('./redact')
+
+const keyInfo = ({idempotencyKey}) =>
+	idempotencyKey ? ` [Idempotency-Key: ${idempotencyKey}]` : ''
+
+/** @param {string} text */
+const snip = text => (text.length > 100 ? `${text.slice(0, 100)}…` : text)
+
+/** The request URL for messages, without secrets */
+const getUrl = state => redactUrl(state.resource, getRedactNames(state))
+
+/**
+ * The parts of a request error that are safe to log or send to error trackers,
+ * without the state, bodies and secrets.
+ *
+ * @param {FetchExtraError}      error
+ * @param {{[key: string]: any}} [fields]
+ */
+const toSafeJSON = (error, fields) => {
+	const {state} = error
+	return {
+		name: error.name,
+		code: error.code,
+		message: error.message,
+		fullId: error.fullId,
+		method: error.method,
+		url: getUrl(state),
+		...fields,
+		attempts: state.attempts?.map(
+			({attempt, status, error: attemptError, timedout, duration, size}) => ({
+				attempt,
+				status,
+				error: attemptError?.message,
+				timedout,
+				duration,
+				size,
+			})
+		),
+		stack: error.stack,
+	}
+}
+
+/**
+ * Base of the errors of a fetch, with a stable `code` and the attempt that
+ * failed. The message is `text` after the `fullId`, followed by the method and
+ * URL in parentheses with `options.detail`, then `options.after`.
+ */
+class FetchExtraError extends Error {
+	/**
+	 * @param {string} text
+	 * @param {string} code
+	 * @param {FetchState} state
+	 * @param {ErrorOptions & {detail?: string; after?: string}} [options]
+	 */
+	constructor(text, code, state, options) {
+		const {detail, after = '', ...errorOptions} = options || {}
+		const method = state.options.method || 'GET'
+		super(
+			`${state.fullId} ${text} (${method} ${getUrl(state)}${
+				detail ? ` - ${detail}` : ''
+			})${after}`,
+			errorOptions
+		)
+		this.name = 'FetchExtraError'
+		this.code = code
+		this.fullId = state.fullId
+		this.resource = state.resource
+		this.method = method
+		this.state = state
+	}
+
+	toJSON() {
+		return toSafeJSON(this)
+	}
+}
+
+class HttpError extends FetchExtraError {
+	constructor(status, statusText, response, state, body) {
+		super(`HTTP ${status} - ${statusText}`, 'ERR_HTTP', state, {
+			after: keyInfo(state) + (body ? ` - ${JSON.stringify(snip(body))}` : ''),
+		})
 		this.name = 'HttpError'
 		this.status = status
 		this.statusText = statusText
 		this.response = response
-		this.state = state
+		this.body = body
+		try {
+			this.json = body ? JSON.parse(body) : undefined
+		} catch {
+			this.json = undefined
+		}
 		Error.captureStackTrace(this, HttpError)
 	}
+
+	toJSON() {
+		return toSafeJSON(this, {
+			status: this.status,
+			statusText: this.statusText,
+			headers:
+				this.response &&
+				redactHeaders(this.response.headers, getRedactNames(this.state)),
+		})
+	}
 }
 
-class TimeoutError extends Error {
+class TimeoutError extends FetchExtraError {
 	constructor(type, state) {
-		const {
-			fullId,
-			options: {method},
-			resource,
-			startTs,
-			bodyTs,
-		} = state
+		const {startTs, bodyTs} = state
 		const now = performance.now()
 		const reqMs = Math.round(bodyTs ? bodyTs - startTs : now - startTs)
 		const bodyMs = Math.round(bodyTs ? now - bodyTs : 0)
-		super(
-			`${fullId} Timeout: ${type} (${method} ${resource} - ${
-				bodyMs ? `${reqMs}ms+${bodyMs}` : reqMs
-			}ms)`
-		)
+		super(`Timeout: ${type}`, 'ERR_TIMEOUT', state, {
+			detail: `${bodyMs ? `${reqMs}ms+${bodyMs}` : reqMs}ms`,
+			after: keyInfo(state),
+		})
 		this.name = 'TimeoutError'
 		this.type = type
-		this.resource = resource
-		this.method = method
-		this.state = state
 		this.headers = state.options.headers
+		this.timings = state.timings
 		Error.captureStackTrace(this, TimeoutError)
 	}
+
+	toJSON() {
+		return toSafeJSON(this, {
+			type: this.type,
+			headers:
+				this.headers && redactHeaders(this.headers, getRedactNames(this.state)),
+			timings: this.timings,
+		})
+	}
+}
+
+class RetryAfterError extends FetchExtraError {
+	constructor(retryAfter, maxRetryAfter, response, state, cause) {
+		super(
+			`Retry-After: server asked to wait ${Math.round(
+				retryAfter
+			)}ms, over the ${maxRetryAfter}ms limit`,
+			'ERR_RETRY_AFTER',
+			state,
+			{cause}
+		)
+		this.name = 'RetryAfterError'
+		this.retryAfter = retryAfter
+		this.maxRetryAfter = maxRetryAfter
+		this.response = response
+		Error.captureStackTrace(this, RetryAfterError)
+	}
+}
+
+class IntegrityError extends FetchExtraError {
+	constructor(type, expected, actual, state) {
+		super(
+			`Integrity: ${type} mismatch, expected ${expected} got ${actual}`,
+			'ERR_INTEGRITY',
+			state
+		)
+		this.name = 'IntegrityError'
+		this.type = type
+		this.expected = expected
+		this.actual = actual
+		Error.captureStackTrace(this, IntegrityError)
+	}
+}
+
+class QueueTimeoutError extends FetchExtraError {
+	constructor(ms, state) {
+		super(`Timeout: queue after ${ms}ms`, 'ERR_QUEUE_TIMEOUT', state)
+		this.name = 'QueueTimeoutError'
+		this.timeout = ms
+		Error.captureStackTrace(this, QueueTimeoutError)
+	}
+}
+
+class QueueFullError extends FetchExtraError {
+	constructor(maxQueued, state) {
+		super(`Queue full: ${maxQueued} requests waiting`, 'ERR_QUEUE_FULL', state)
+		this.name = 'QueueFullError'
+		this.maxQueued = maxQueued
+		Error.captureStackTrace(this, QueueFullError)
+	}
+}
+
+class CircuitOpenError extends FetchExtraError {
+	constructor(origin, retryAt, state) {
+		super(
+			`Circuit open for ${origin} until ${new Date(retryAt).toISOString()}`,
+			'ERR_CIRCUIT_OPEN',
+			state
+		)
+		this.name = 'CircuitOpenError'
+		this.origin = origin
+		this.retryAt = retryAt
+		Error.captureStackTrace(this, CircuitOpenError)
+	}
+}
+
+class ParseError extends FetchExtraError {
+	constructor(body, state, cause) {
+		const snippet = snip(body)
+		super(`Parse: invalid JSON, ${cause.message}`, 'ERR_PARSE', state, {
+			cause,
+			after: ` - ${JSON.stringify(snippet)}`,
+		})
+		this.name = 'ParseError'
+		this.snippet = snippet
+		Error.captureStackTrace(this, ParseError)
+	}
+}
+
+class ValidationError extends FetchExtraError {
+	constructor(issues, state) {
+		const [{message, path}] = issues
+		super(
+			`Validation: ${path.length ? `${path.join('.')}: ` : ''}${message}${
+				issues.length > 1 ? ` (+${issues.length - 1} more)` : ''
+			}`,
+			'ERR_VALIDATION',
+			state
+		)
+		this.name = 'ValidationError'
+		this.issues = issues
+		Error.captureStackTrace(this, ValidationError)
+	}
+}
+
+/**
+ * The connection failed, `cause` is the socket or DNS error with its `code`
+ * (ECONNRESET, ENOTFOUND, UND_ERR_SOCKET, ...). `message` is the one of the
+ * wrapped error, for causes without one.
+ */
+class NetworkError extends FetchExtraError {
+	constructor(cause, state, message = 'fetch failed') {
+		const detail =
+			cause.code && !cause.message?.includes(cause.code)
+				? `${cause.code}${cause.message ? ` ${cause.message}` : ''}`
+				: cause.message || message || cause.name
+		super(`Network: ${detail}`, 'ERR_NETWORK', state, {cause})
+		this.name = 'NetworkError'
+		Error.captureStackTrace(this, NetworkError)
+	}
+}
+
+/** The user signal aborted the fetch, `reason` is the signal's reason */
+class AbortError extends FetchExtraError {
+	constructor(reason, state) {
+		super(
+			`Aborted: ${reason?.message || String(reason)}`,
+			'ERR_ABORTED',
+			state,
+			{cause: reason}
+		)
+		this.name = 'AbortError'
+		this.reason = reason
+		Error.captureStackTrace(this, AbortError)
+	}
 }
 
-module.exports = {HttpError, TimeoutError}
+class SizeLimitError extends FetchExtraError {
+	constructor(maxSize, size, state) {
+		super(
+			`Size limit: ${size} bytes, over the ${maxSize} bytes limit`,
+			'ERR_SIZE_LIMIT',
+			state
+		)
+		this.name = 'SizeLimitError'
+		this.maxSize = maxSize
+		this.size = size
+		Error.captureStackTrace(this, SizeLimitError)
+	}
+}
+
+/**
+ * Turns undici's `TypeError: fetch failed` into NetworkError and user aborts
+ * into AbortError. Errors given as the abort reason and other errors are
+ * returned as is.
+ *
+ * @param {any}        error
+ * @param {FetchState} state
+ * @returns {any}
+ */
+const wrapError = (error, state) => {
+	if (error instanceof FetchExtraError) return error
+	const {signal} = state.options
+	if (
+		signal?.aborted &&
+		(error === signal.reason || error?.name === 'AbortError')
+	) {
+		const {reason} = signal
+		const isCustom =
+			reason instanceof Error && !(reason instanceof DOMException)
+		return isCustom ? reason : new AbortError(reason, state)
+	}
+	// Undici's messages for failed requests and bodies
+	if (
+		error instanceof TypeError &&
+		(error.message === 'fetch failed' || error.message === 'terminated') &&
+		error.cause
+	)
+		return new NetworkError(error.cause, state, error.message)
+	return error
+}
+
+/**
+ * A copy of `error` for another fetch that got it too, e.g. one that shared the
+ * request. FetchExtraError copies get the `fullId`, `resource`, `method` and
+ * `state` of that fetch. The copy's `cause` is `error`.
+ *
+ * @param {any}        error
+ * @param {FetchState} state
+ * @returns {any}
+ */
+const copyError = (error, state) => {
+	if (!(error instanceof Error) || error.state === state) return error
+	/** @type {any} */
+	const copy = Object.create(Object.getPrototypeOf(error))
+	Object.defineProperties(copy, Object.getOwnPropertyDescriptors(error))
+	delete copy.stats
+	delete copy.attempts
+	copy.cause = error
+	if (error instanceof FetchExtraError) {
+		Object.assign(copy, {
+			fullId: state.fullId,
+			resource: state.resource,
+			method: state.options.method || 'GET',
+			state,
+		})
+		copy.message = error.message.replace(error.fullId, state.fullId)
+	}
+	return copy
+}
+
+module.exports = {
+	FetchExtraError,
+	HttpError,
+	TimeoutError,
+	RetryAfterError,
+	IntegrityError,
+	QueueTimeoutError,
+	QueueFullError,
+	CircuitOpenError,
+	ParseError,
+	ValidationError,
+	NetworkError,
+	AbortError,
+	SizeLimitError,
+	wrapError,
+	copyError,
+}
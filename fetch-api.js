@@ -0,0 +1,33 @@
+// The fetch implementation: undici when it's installed, the built-in one if not
+let fetch = globalThis.fetch,
+	Headers = globalThis.Headers,
+	Request = globalThis.Request,
+	Response = globalThis.Response,
+	DOMException = globalThis.DOMException
+
+try {
+	const undici = require('undici')
+	// @ts-ignore
+	fetch = undici.fetch
+	// @ts-ignore
+	Headers = undici.Headers
+	// @ts-ignore
+	Request = undici.Request
+	// @ts-ignore
+	Response = undici.Response
+	if (!DOMException) {
+		DOMException = require('undici/lib/fetch/constants').DOMException
+	}
+} catch (err) {
+	if (
+		err.code === 'MODULE_NOT_FOUND' &&
+		// @ts-ignore
+		fetch
+	) {
+		// do nothing, we'll use the built-in fetch
+	} else {
+		throw err
+	}
+}
+
+module.exports = {fetch, Headers, Request, Response, DOMException}
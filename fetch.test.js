@@ -2,8 +2,12 @@
 const t = require('tap')
 const fetch = require('.')
 const {fastify} = require('fastify')
+const {Response} = fetch
 const {Readable} = require('stream')
 const {Blob} = require('buffer')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 // @ts-ignore
 const debug = require('debug')
 
@@ -84,7 +88,7 @@ app.route({
 	},
 })
 app.route({
-	method: 'POST',
+	method: ['POST', 'PUT'],
 	url: '/:id',
 	handler: async (req, rep) => {
 		const {
@@ -93,10 +97,12 @@ app.route({
 			speed,
 			bodyTimeouts = [],
 			status,
+			headers = {},
 		} = /** @type {any} */ (req.body)
 		if (status) {
 			rep.code(status)
 		}
+		rep.headers(headers)
 		// @ts-ignore
 		if (req.params.id) {
 			// @ts-ignore
@@ -110,6 +116,106 @@ app.route({
 	},
 })
 
+app.route({
+	method: 'GET',
+	url: '/problem',
+	handler: async (req, rep) => {
+		const {size = 0} = /** @type {any} */ (req.query)
+		rep.code(422)
+		return {title: 'Invalid input', detail: 'x'.repeat(Number(size))}
+	},
+})
+
+app.addContentTypeParser('application/octet-stream', (_req, payload, done) =>
+	done(null, payload)
+)
+app.route({
+	method: 'PUT',
+	url: '/upload',
+	handler: async (req, rep) => {
+		let size = 0
+		for await (const chunk of /** @type {any} */ (req.body)) {
+			size += chunk.length
+		}
+		for (const [header, value] of Object.entries(req.headers)) {
+			rep.header(`received-${header}`, value)
+		}
+		return {size}
+	},
+})
+app.route({
+	method: ['PUT', 'POST'],
+	url: '/redirect/:status',
+	handler: async (req, rep) => {
+		// @ts-ignore
+		rep.redirect('/upload', Number(req.params.status))
+	},
+})
+
+const resumableData = Buffer.from(
+	Array.from({length: 100 * 1024}, (_, i) => i % 251)
+)
+app.route({
+	method: 'GET',
+	url: '/resumable',
+	handler: (req, rep) => {
+		const {mode, etag = '"v1"'} = /** @type {any} */ (req.query)
+		const {length} = resumableData
+		const {range} = req.headers
+		rep.hijack()
+		const res = rep.raw
+		const headers = {etag, 'accept-ranges': 'bytes'}
+		if (range) {
+			const start = Number(/bytes=(\d+)-/.exec(range)?.[1])
+			res.writeHead(206, {
+				...headers,
+				'content-range': `bytes ${start}-${length - 1}/${length}`,
+				'content-length': length - start,
+			})
+			// Send only the headers and hang
+			if (mode === 'stall-again') res.flushHeaders()
+			else res.end(resumableData.subarray(start))
+			return
+		}
+		res.writeHead(200, {...headers, 'content-length': length})
+		res.write(resumableData.subarray(0, length / 2), () => {
+			// Either leave the connection hanging or break it
+			if (!mode?.startsWith('stall')) setTimeout(() => res.destroy(), 20)
+		})
+	},
+})
+
+/**
+ * @type {{
+ * 	[id: string]: {
+ * 		headers?: any
+ * 		status?: number
+ * 		delay?: number
+ * 		hits: number
+ * 	}
+ * }}
+ */
+const cacheRoutes = {}
+app.route({
+	method: ['GET', 'POST'],
+	url: '/cached/:id',
+	handler: async (req, rep) => {
+		// @ts-ignore
+		const route = cacheRoutes[req.params.id]
+		route.hits++
+		if (route.delay) await delay(route.delay)
+		rep.headers(route.headers || {})
+		if (
+			route.headers?.etag &&
+			req.headers['if-none-match'] === route.headers.etag
+		)
+			return rep.code(304).send()
+		rep.code(route.status || 200)
+		const lang = req.headers['accept-language']
+		return `${lang && lang !== '*' ? lang : ''}body ${route.hits}`
+	},
+})
+
 let port
 /**
  * @param {{
@@ -118,6 +224,7 @@ let port
  * 	speed?: number
  * 	bodyTimeouts?: {time: number; after: number}[]
  * 	status?: number
+ * 	headers?: {[name: string]: string}
  * 	id?: string
  * }} [reqOptions]
  * @param {FetchOptions} [options]
@@ -271,14 +378,357 @@ t.test('overall timeout', async t => {
 	})
 })
 
+t.test('upload', async t => {
+	const upload = (
+		body,
+		{url = `http://localhost:${port}/upload`, ...options} = {}
+	) =>
+		fetch(url, {
+			method: 'PUT',
+			body,
+			headers: {'content-type': 'application/octet-stream'},
+			...options,
+		})
+	const slowBody = (chunks, ms) =>
+		Readable.from(
+			(async function* () {
+				for (let i = 0; i < chunks; i++) {
+					await delay(ms)
+					yield Buffer.alloc(1024)
+				}
+			})()
+		)
+
+	t.test('Buffer body keeps Content-Length and is measured', async t => {
+		const res = await upload(Buffer.alloc(200 * 1024, 1), {
+			timeouts: {upload: 1000},
+		})
+		t.same(await res.json(), {size: 200 * 1024})
+		t.equal(res.headers.get('received-content-length'), String(200 * 1024))
+		const stats = await res.completed
+		t.equal(stats.uploadSize, 200 * 1024)
+		t.type(stats.uploadSpeed, 'number')
+	})
+
+	t.test('sized bodies follow 307 and 308 redirects', async t => {
+		for (const status of [307, 308]) {
+			const res = await upload(new Blob(['hello']), {
+				url: `http://localhost:${port}/redirect/${status}`,
+			})
+			t.same(await res.json(), {size: 5}, `${status}`)
+			t.match(await res.completed, {uploadSize: 5, uploadSpeed: undefined})
+		}
+	})
+
+	t.test('Blob body', async t => {
+		const blob = new Blob(['hello'], {type: 'application/octet-stream'})
+		const res = await upload(blob, {headers: {}})
+		t.equal(res.headers.get('received-content-length'), '5')
+		t.equal(
+			res.headers.get('received-content-type'),
+			'application/octet-stream'
+		)
+		await res.text()
+		t.equal((await res.completed).uploadSize, 5)
+	})
+
+	t.test('string body is not wrapped', async t => {
+		const res = await makeReq({})
+		await res.blob()
+		t.equal((await res.completed).uploadSize, undefined)
+	})
+
+	t.test('stream body within timeouts', async t => {
+		const res = await upload(slowBody(3, 20), {
+			timeouts: {upload: 1000, uploadStall: 200},
+		})
+		t.same(await res.json(), {size: 3 * 1024})
+		t.equal((await res.completed).uploadSize, 3 * 1024)
+	})
+
+	t.test('times out (stall)', async t => {
+		await t.rejects(upload(slowBody(3, 500), {timeouts: {uploadStall: 150}}), {
+			name: 'TimeoutError',
+			type: 'uploadStall',
+		})
+	})
+
+	t.test('times out (slow progress)', async t => {
+		await t.rejects(
+			upload(slowBody(10, 50), {timeouts: {upload: 200, uploadStall: 150}}),
+			{name: 'TimeoutError', type: 'upload'}
+		)
+	})
+})
+
+t.test('resume', async t => {
+	const url = query => `http://localhost:${port}/resumable?${query}`
+
+	t.test('resumes after a network error', async t => {
+		const res = await fetch(url(''), {resume: true})
+		const body = Buffer.from(await res.arrayBuffer())
+		t.ok(body.equals(resumableData))
+		t.match(await res.completed, {resumes: 1, attempts: 1})
+	})
+
+	t.test('resumes after a stall', async t => {
+		const res = await fetch(url('mode=stall'), {
+			resume: 2,
+			timeouts: {stall: 100, overall: 2000},
+		})
+		const body = Buffer.from(await res.arrayBuffer())
+		t.ok(body.equals(resumableData))
+		t.equal((await res.completed).resumes, 1)
+	})
+
+	t.test('the resumed body has a stall timeout too', async t => {
+		const res = await fetch(url('mode=stall-again'), {
+			resume: 1,
+			timeouts: {stall: 100, overall: 5000},
+		})
+		const start = Date.now()
+		await t.rejects(res.arrayBuffer(), {name: 'TimeoutError', type: 'stall'})
+		t.ok(Date.now() - start < 2000, 'not the overall timeout')
+	})
+
+	t.test('fails without resume', async t => {
+		const res = await fetch(url(''))
+		await t.rejects(res.arrayBuffer())
+		t.equal((await res.completed.catch(e => e.stats)).resumes, 0, 'no resumes')
+	})
+
+	t.test('does not resume weak ETags', async t => {
+		const res = await fetch(url(`etag=${encodeURIComponent('W/"v1"')}`), {
+			resume: true,
+			timeouts: {stall: 100},
+		})
+		await t.rejects(res.arrayBuffer())
+	})
+})
+
+t.test('downloadFile', async t => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-extra-'))
+	t.teardown(() => fs.rmSync(dir, {recursive: true, force: true}))
+	// sha256 of 'hello'
+	const helloHash =
+		'2cf24dba5fb0a30e26e83b2ac5b9e29e1b161e5c1fa7425e73043362938b9824'
+
+	t.test('writes the file and returns the digest', async t => {
+		const file = path.join(dir, 'hello.txt')
+		const {digest, stats} = await fetch.downloadFile(
+			`http://localhost:${port}`,
+			file,
+			{expectedHash: helloHash.toUpperCase(), expectedSize: 5}
+		)
+		t.equal(digest, helloHash)
+		t.match(stats, {attempts: 1})
+		t.equal(fs.readFileSync(file, 'utf8'), 'hello')
+		t.same(fs.readdirSync(dir), ['hello.txt'])
+	})
+
+	t.test('other hash algorithms', async t => {
+		const {digest} = await fetch.downloadFile(
+			`http://localhost:${port}`,
+			path.join(dir, 'hello.md5'),
+			{hash: 'md5'}
+		)
+		t.equal(digest, '5d41402abc4b2a76b9719d911017c592')
+	})
+
+	t.test('retries and cleans up on mismatch', async t => {
+		const file = path.join(dir, 'mismatch.txt')
+		const err = await fetch
+			.downloadFile(`http://localhost:${port}`, file, {
+				expectedHash: 'abc',
+				retry: 2,
+			})
+			.catch(e => e)
+		t.match(err, {
+			name: 'IntegrityError',
+			type: 'hash',
+			actual: helloHash,
+			state: {attempt: 2},
+		})
+		t.match(await err.state.completed.catch(e => e), {stats: {attempts: 2}})
+		t.notOk(fs.existsSync(file))
+		t.notOk(fs.readdirSync(dir).some(f => f.startsWith('mismatch')))
+	})
+
+	t.test('size mismatch', async t => {
+		await t.rejects(
+			fetch.downloadFile(
+				`http://localhost:${port}`,
+				path.join(dir, 'size.txt'),
+				{expectedSize: 4}
+			),
+			{name: 'IntegrityError', type: 'size', message: 'expected 4 got 5'}
+		)
+	})
+
+	t.test('HTTP errors', async t => {
+		const file = path.join(dir, 'nope.txt')
+		await t.rejects(
+			fetch.downloadFile(`http://localhost:${port}/nope`, file),
+			{name: 'HttpError', status: 404},
+			'validates by default'
+		)
+		t.notOk(fs.existsSync(file))
+		const {stats} = await fetch.downloadFile(
+			`http://localhost:${port}/nope`,
+			file,
+			{validate: false}
+		)
+		t.match(stats, {attempts: 1})
+		t.ok(fs.existsSync(file))
+	})
+
+	t.test('file errors cancel the body', async t => {
+		let cancelled
+		const origin = () => async () =>
+			new Response(
+				new ReadableStream({
+					pull: controller => controller.enqueue(new Uint8Array(10)),
+					cancel: reason => {
+						cancelled = reason
+					},
+				})
+			)
+		const err = await fetch
+			.downloadFile(
+				'http://invalid.localhost/',
+				path.join(dir, 'missing', 'file.txt'),
+				{middleware: [origin]}
+			)
+			.catch(e => e)
+		t.match(err, {code: 'ENOENT'})
+		t.equal(cancelled, err)
+	})
+})
+
+t.test('onProgress', async t => {
+	t.test('download', async t => {
+		const events = []
+		const res = await fetch(`http://localhost:${port}/resumable`, {
+			resume: true,
+			onProgress: e => events.push(e),
+			progressInterval: 0,
+		})
+		await res.arrayBuffer()
+		t.ok(events.length > 1)
+		t.ok(events.every((e, i) => !i || e.loaded >= events[i - 1].loaded))
+		t.match(events.at(-1), {
+			loaded: resumableData.length,
+			total: resumableData.length,
+			attempt: 1,
+			direction: 'download',
+		})
+	})
+
+	t.test('upload', async t => {
+		const events = []
+		const res = await fetch(`http://localhost:${port}/upload`, {
+			method: 'PUT',
+			body: Buffer.alloc(200 * 1024),
+			headers: {'content-type': 'application/octet-stream'},
+			onProgress: e => events.push(e),
+			progressInterval: 0,
+		})
+		await res.json()
+		const uploads = events.filter(e => e.direction === 'upload')
+		t.equal(uploads.length, 5)
+		t.match(uploads.at(-1), {loaded: 200 * 1024, total: 200 * 1024})
+		t.type(uploads.at(-1).speed, 'number')
+	})
+
+	t.test('throttled, and callback errors are ignored', async t => {
+		const events = []
+		const res = await makeReq(
+			{},
+			{
+				onProgress: e => {
+					events.push(e)
+					throw new Error('ignored')
+				},
+				progressInterval: 60_000,
+			}
+		)
+		await res.blob()
+		t.equal(events.length, 1)
+		t.match(events[0], {loaded: 1024 * 1024, total: undefined})
+	})
+})
+
 t.test('Retrying', async t => {
 	t.test('Retry 5 times', async t => {
 		await t.rejects(
-			makeReq({requestTimeout: 2000}, {timeouts: {request: 150}, retry: 5}),
+			makeReq(
+				{requestTimeout: 2000},
+				{method: 'PUT', timeouts: {request: 150}, retry: 5}
+			),
 			{state: {attempt: 5}, message: 'Timeout: request'}
 		)
 	})
 
+	t.test('Attempt history', async t => {
+		const f = fetch.makeFetch({
+			middleware: [
+				next => async (resource, options, state) =>
+					state.attempt < 3
+						? new Response('busy', {status: 503})
+						: next(resource, options, state),
+			],
+			method: 'PUT',
+			validate: true,
+			retry: {attempts: 3, baseDelay: 1},
+			timeouts: {request: 50},
+		})
+		const url = `http://localhost:${port}/history`
+		const error = await f(url, {
+			body: JSON.stringify({requestTimeout: 500}),
+			headers: {'content-type': 'application/json'},
+		}).catch(e => e)
+		t.match(error, {name: 'TimeoutError'})
+		t.match(error.attempts, [
+			{attempt: 1, resource: url, status: 503, error: {name: 'HttpError'}},
+			{attempt: 2, status: 503, timedout: undefined},
+			{attempt: 3, status: undefined, timedout: 'request', error},
+		])
+		t.ok(error.attempts[2].duration >= 45)
+		t.equal(error.attempts, error.state.attempts)
+
+		const invalid = await makeReq(
+			{},
+			{
+				retry: {attempts: 2, baseDelay: 1},
+				validate: () => {
+					throw new Error('invalid')
+				},
+			}
+		).catch(e => e)
+		t.equal(invalid.attempts.at(-1).error, invalid)
+		t.notOk(Object.keys(invalid).includes('stats'), 'stats are hidden')
+		t.doesNotThrow(() => JSON.stringify(invalid))
+		t.doesNotThrow(() => JSON.stringify(invalid.stats))
+
+		const res = await makeReq(
+			{size: 10, status: 503},
+			{
+				method: 'PUT',
+				validate: true,
+				retry: ({state}) =>
+					state.attempt < 2 && {
+						options: {body: JSON.stringify({size: 10})},
+					},
+			}
+		)
+		await res.text()
+		const {history} = await res.completed
+		t.match(history, [
+			{attempt: 1, status: 503, error: {name: 'HttpError'}},
+			{attempt: 2, status: 200, error: undefined, size: 10},
+		])
+	})
+
 	t.test('Change timeout parameters on retry', async t => {
 		const res = await makeReq(
 			{requestTimeout: 500},
@@ -349,6 +799,269 @@ t.test('Retrying', async t => {
 		t.equal(res.headers.get('received-id'), 'foo')
 	})
 
+	t.test('Backoff', async t => {
+		t.test('fixed delay between attempts', async t => {
+			const start = Date.now()
+			await t.rejects(
+				makeReq(
+					{status: 503},
+					{
+						validate: true,
+						retry: {attempts: 3, backoff: 'fixed', baseDelay: 100},
+						method: 'PUT',
+					}
+				),
+				{name: 'HttpError', state: {attempt: 3, nextDelay: 100}}
+			)
+			t.ok(Date.now() - start >= 200)
+		})
+
+		t.test('exponential delay capped by maxDelay', async t => {
+			await t.rejects(
+				makeReq(
+					{status: 503},
+					{
+						validate: true,
+						retry: {attempts: 4, baseDelay: 10, maxDelay: 30, jitter: 'none'},
+						method: 'PUT',
+					}
+				),
+				{state: {attempt: 4, nextDelay: 30}}
+			)
+		})
+
+		t.test('jitter stays within bounds', async t => {
+			for (const [jitter, min] of [
+				['full', 0],
+				['equal', 10],
+			]) {
+				const attempts = []
+				const delays = []
+				await t.rejects(
+					makeReq(
+						{status: 503},
+						{
+							validate: true,
+							retry: {
+								attempts: 6,
+								methods: ['POST'],
+								jitter,
+								backoff: ({state}) => {
+									attempts.push(state.attempt)
+									return 20
+								},
+							},
+							hooks: {beforeRetry: [({state}) => delays.push(state.nextDelay)]},
+						}
+					),
+					{state: {attempt: 6}}
+				)
+				t.same(attempts, [1, 2, 3, 4, 5])
+				t.equal(delays.length, 5)
+				t.ok(
+					delays.every(d => d >= min && d <= 20),
+					`${jitter} jitter: ${delays}`
+				)
+			}
+		})
+
+		t.test('user signal cancels the delay', async t => {
+			const controller = new AbortController()
+			setTimeout(() => controller.abort(new Error('stop waiting')), 100)
+			const start = Date.now()
+			await t.rejects(
+				makeReq(
+					{status: 503},
+					{
+						validate: true,
+						retry: {attempts: 2, backoff: 'fixed', baseDelay: 5000},
+						method: 'PUT',
+						signal: controller.signal,
+					}
+				),
+				{message: 'stop waiting'}
+			)
+			t.ok(Date.now() - start < 2000)
+		})
+	})
+
+	t.test('Retry-After', async t => {
+		t.test('waits before retrying', async t => {
+			const start = Date.now()
+			await t.rejects(
+				makeReq(
+					{status: 429, headers: {'retry-after': '1'}},
+					{method: 'PUT', validate: true, retry: 2}
+				),
+				{name: 'HttpError', state: {attempt: 2, nextDelay: 1000}}
+			)
+			t.ok(Date.now() - start >= 1000)
+		})
+
+		t.test('fails when the wait exceeds maxRetryAfter', async t => {
+			const start = Date.now()
+			await t.rejects(
+				makeReq(
+					{status: 503, headers: {'retry-after': '120'}},
+					{method: 'PUT', validate: true, retry: 2, maxRetryAfter: 10_000}
+				),
+				{
+					name: 'RetryAfterError',
+					retryAfter: 120_000,
+					maxRetryAfter: 10_000,
+					cause: {name: 'HttpError'},
+					state: {attempt: 1},
+				}
+			)
+			t.ok(Date.now() - start < 1000)
+		})
+
+		t.test('reads epoch X-RateLimit-Reset', async t => {
+			const reset = String(Math.floor(Date.now() / 1000) + 3600)
+			const err = await makeReq(
+				{status: 429, headers: {'x-ratelimit-reset': reset}},
+				{method: 'PUT', validate: true, retry: 2}
+			).catch(e => e)
+			t.equal(err.name, 'RetryAfterError')
+			t.ok(err.retryAfter > 3_500_000 && err.retryAfter <= 3_600_000)
+			t.equal(err.response.status, 429)
+		})
+
+		t.test('ignores headers on other statuses', async t => {
+			await t.rejects(
+				makeReq(
+					{status: 500, headers: {'retry-after': '120'}},
+					{method: 'PUT', validate: true, retry: 2}
+				),
+				{name: 'HttpError', state: {attempt: 2}}
+			)
+		})
+	})
+
+	t.test('Retry classification', async t => {
+		t.test('does not retry POST by default', async t => {
+			await t.rejects(makeReq({status: 503}, {validate: true, retry: 3}), {
+				name: 'HttpError',
+				state: {attempt: 1},
+			})
+		})
+
+		t.test('retries POST when opted in', async t => {
+			await t.rejects(
+				makeReq(
+					{status: 503},
+					{
+						validate: true,
+						retry: {attempts: 3, methods: ['post'], baseDelay: 0},
+					}
+				),
+				{name: 'HttpError', state: {attempt: 3}}
+			)
+		})
+
+		t.test('does not retry 4xx', async t => {
+			await t.rejects(
+				makeReq({status: 400}, {method: 'PUT', validate: true, retry: 3}),
+				{name: 'HttpError', state: {attempt: 1}}
+			)
+			await t.rejects(
+				makeReq({status: 408}, {method: 'PUT', validate: true, retry: 3}),
+				{name: 'HttpError', state: {attempt: 3}}
+			)
+		})
+
+		t.test('does not retry user aborts', async t => {
+			const controller = new AbortController()
+			setTimeout(() => controller.abort(), 100)
+			await t.rejects(
+				makeReq(
+					{requestTimeout: 2000},
+					{method: 'PUT', signal: controller.signal, retry: 3}
+				),
+				{name: 'AbortError'}
+			)
+		})
+
+		t.test('retries network errors', async t => {
+			const server = fastify()
+			await server.listen({port: 0})
+			const address = server.server.address()
+			const closedPort = typeof address === 'object' ? address?.port : null
+			await server.close()
+			await t.rejects(fetch(`http://localhost:${closedPort}`, {retry: 2}), {
+				cause: {code: 'ECONNREFUSED'},
+				stats: {attempts: 2},
+			})
+		})
+
+		t.test('composes with custom retry functions', async t => {
+			const statuses = []
+			await t.rejects(
+				makeReq(
+					{status: 503},
+					{
+						method: 'PUT',
+						validate: true,
+						retry: params => {
+							statuses.push(params.error?.['status'])
+							return params.state.attempt < 2 && fetch.isRetryable(params)
+						},
+					}
+				),
+				{name: 'HttpError', state: {attempt: 2}}
+			)
+			t.same(statuses, [503, 503])
+		})
+	})
+
+	t.test('Idempotency-Key', async t => {
+		t.test('same generated key on every attempt', async t => {
+			const keys = []
+			const err = await makeReq(
+				{status: 503},
+				{
+					validate: true,
+					idempotencyKey: true,
+					retry: params => {
+						keys.push(params.response?.headers.get('received-idempotency-key'))
+						return params.state.attempt < 3 && fetch.isRetryable(params)
+					},
+				}
+			).catch(e => e)
+			t.equal(err.name, 'HttpError')
+			t.equal(keys.length, 3)
+			t.match(keys[0], /^[\da-f-]{36}$/)
+			t.same(new Set(keys), new Set([err.state.idempotencyKey]))
+			t.match(err.message, `[Idempotency-Key: ${keys[0]}]`)
+		})
+
+		t.test('string and function keys', async t => {
+			const res = await makeReq({}, {idempotencyKey: 'abc'})
+			t.equal(res.headers.get('received-idempotency-key'), 'abc')
+			await res.blob()
+			const res2 = await makeReq(
+				{},
+				{operationId: 'op', idempotencyKey: state => `key-${state.id}`}
+			)
+			t.equal(res2.headers.get('received-idempotency-key'), 'key-op')
+			await res2.blob()
+		})
+
+		t.test('retries POST with a key by default', async t => {
+			await t.rejects(
+				makeReq(
+					{requestTimeout: 2000},
+					{idempotencyKey: 'k1', timeouts: {request: 100}, retry: 2}
+				),
+				{
+					name: 'TimeoutError',
+					message: '[Idempotency-Key: k1]',
+					state: {attempt: 2},
+				}
+			)
+		})
+	})
+
 	t.test('Response available in retry function', async t => {
 		let capturedResponse = null
 
@@ -409,6 +1122,96 @@ t.test('Retrying', async t => {
 	})
 })
 
+t.test('hooks', async t => {
+	t.test('run in order on every attempt', async t => {
+		const calls = []
+		const res = await makeReq(
+			{status: 503},
+			{
+				method: 'PUT',
+				validate: true,
+				retry: {attempts: 2, backoff: 'fixed', baseDelay: 10},
+				hooks: {
+					beforeRequest: [
+						state => {
+							calls.push(`beforeRequest ${state.attempt}`)
+							state.options.headers = {
+								...state.options.headers,
+								'x-attempt': String(state.attempt),
+							}
+						},
+					],
+					afterResponse: [
+						(response, state) => {
+							calls.push(`afterResponse ${response.status}`)
+							if (state.attempt === 2) return new Response('replaced', response)
+						},
+						response => {
+							calls.push(`afterResponse2 ${response.status}`)
+						},
+					],
+					beforeRetry: [
+						({state, error, delay: ms}) => {
+							calls.push(`beforeRetry ${state.attempt} ${ms}`)
+							t.equal(error?.name, 'HttpError')
+						},
+					],
+					onComplete: [
+						(result, state) => {
+							calls.push(`onComplete ${state.attempt}`)
+							throw new Error('ignored')
+						},
+					],
+				},
+			}
+		).catch(e => e)
+		t.equal(res.name, 'HttpError')
+		t.equal(res.response.headers.get('received-x-attempt'), '2')
+		t.equal(await res.response.text(), 'replaced')
+		await res.state.completed.catch(() => {})
+		await delay(10)
+		t.same(calls, [
+			'beforeRequest 1',
+			'afterResponse 503',
+			'afterResponse2 503',
+			'beforeRetry 1 10',
+			'beforeRequest 2',
+			'afterResponse 503',
+			'afterResponse2 503',
+			'onComplete 2',
+		])
+	})
+
+	t.test('onComplete gets the stats', async t => {
+		let result
+		const res = await makeReq({}, {hooks: {onComplete: [r => (result = r)]}})
+		await res.blob()
+		await res.completed
+		t.match(result, {size: 1024 * 1024, attempts: 1})
+	})
+
+	t.test('beforeRetry can cancel the retry', async t => {
+		await t.rejects(
+			makeReq(
+				{status: 503},
+				{
+					method: 'PUT',
+					validate: true,
+					retry: 3,
+					hooks: {
+						beforeRetry: [
+							() => {
+								throw new Error('no more')
+							},
+						],
+					},
+				}
+			),
+			{message: 'no more'}
+		)
+	})
+})
+
 t.test(`Providing custom abort signal`, async t => {
 	t.test('aborted after 100 ms', async t => {
 		const controller = new AbortController()
@@ -443,13 +1246,107 @@ t.test(`Providing custom abort signal`, async t => {
 	})
 })
 
-t.test('Validation', async t => {
-	t.test('throw during validation', async t => {
-		let good = false
-		await t.rejects(
-			makeReq(
-				{},
-				{
+t.test('Error taxonomy', async t => {
+	t.test('network errors', async t => {
+		const server = fastify()
+		await server.listen({port: 0})
+		const address = server.server.address()
+		const closedPort = typeof address === 'object' ? address?.port : null
+		await server.close()
+		const err = await fetch(`http://localhost:${closedPort}/x`, {
+			method: 'PUT',
+		}).catch(e => e)
+		t.ok(err instanceof fetch.NetworkError)
+		t.ok(err instanceof fetch.FetchExtraError)
+		t.match(err, {
+			name: 'NetworkError',
+			code: 'ERR_NETWORK',
+			fullId: /-1$/,
+			resource: `http://localhost:${closedPort}/x`,
+			method: 'PUT',
+			cause: {code: 'ECONNREFUSED'},
+			message: /Network: .*ECONNREFUSED.* \(PUT http:\/\/localhost:\d+\/x\)$/,
+		})
+		t.match(err.toJSON(), {name: 'NetworkError', code: 'ERR_NETWORK'})
+		t.notOk('state' in err.toJSON())
+
+		const f = fetch.makeFetch({
+			middleware: [
+				() => async () => {
+					throw new TypeError('fetch failed', {cause: new TypeError()})
+				},
+			],
+		})
+		t.match(await f('http://invalid.localhost/a').catch(e => e), {
+			name: 'NetworkError',
+			message: /Network: fetch failed \(GET http:\/\/invalid.localhost\/a\)$/,
+		})
+	})
+
+	t.test('user aborts', async t => {
+		const controller = new AbortController()
+		setTimeout(() => controller.abort(), 50)
+		let err = await makeReq(
+			{requestTimeout: 2000},
+			{signal: controller.signal}
+		).catch(e => e)
+		t.ok(err instanceof fetch.AbortError)
+		t.match(err, {
+			code: 'ERR_ABORTED',
+			reason: {name: 'AbortError'},
+			message: /Aborted: This operation was aborted \(POST /,
+		})
+
+		const bodyController = new AbortController()
+		const res = await makeReq(
+			{speed: 100 * 1024},
+			{signal: bodyController.signal}
+		)
+		setTimeout(() => bodyController.abort('done waiting'), 50)
+		err = await res.arrayBuffer().catch(e => e)
+		t.match(err, {name: 'AbortError', reason: 'done waiting'})
+		t.match(await res.completed.catch(e => e), {name: 'AbortError'})
+	})
+
+	t.test('stable codes', async t => {
+		cacheRoutes.codes = {status: 404, hits: 0}
+		const err = await fetch(`http://localhost:${port}/cached/codes`, {
+			validate: true,
+		}).catch(e => e)
+		t.ok(err instanceof fetch.FetchExtraError)
+		t.match(err, {name: 'HttpError', code: 'ERR_HTTP', method: 'GET'})
+	})
+
+	t.test('maxSize', async t => {
+		cacheRoutes.size = {hits: 0}
+		let err = await fetch(`http://localhost:${port}/cached/size`, {
+			maxSize: 3,
+			retry: 3,
+		}).catch(e => e)
+		t.ok(err instanceof fetch.SizeLimitError)
+		t.match(err, {
+			code: 'ERR_SIZE_LIMIT',
+			maxSize: 3,
+			size: 6,
+			message: /Size limit: 6 bytes, over the 3 bytes limit/,
+		})
+		t.equal(err.state.attempt, 1)
+
+		const res = await makeReq({size: 100 * 1024}, {maxSize: 50 * 1024})
+		err = await res.arrayBuffer().catch(e => e)
+		t.match(err, {name: 'SizeLimitError', maxSize: 50 * 1024})
+		t.ok(err.size > 50 * 1024)
+		t.match(await res.completed.catch(e => e), {name: 'SizeLimitError'})
+	})
+})
+
+t.test('Validation', async t => {
+	t.test('throw during validation', async t => {
+		let good = false
+		await t.rejects(
+			makeReq(
+				{},
+				{
 					validate: () => {
 						if (!good) {
 							good = true
@@ -491,6 +1388,7 @@ t.test('Validation', async t => {
 						}
 					},
 				},
+				method: 'PUT',
 				retry: 5,
 			}
 		)
@@ -541,6 +1439,229 @@ t.test('Validation', async t => {
 			`HTTP 403 - Forbidden (POST http://localhost:${port}/validation-test)`
 		)
 	})
+
+	t.test('error body', async t => {
+		const url = `http://localhost:${port}/problem`
+		let err = await fetch(url, {validate: true}).catch(e => e)
+		t.equal(err.body, undefined)
+		t.equal(
+			err.message,
+			`${err.fullId} HTTP 422 - Unprocessable Entity (GET ${url})`
+		)
+
+		err = await fetch(url, {validate: true, errorBody: true}).catch(e => e)
+		const body = JSON.stringify({title: 'Invalid input', detail: ''})
+		t.equal(err.body, body)
+		t.same(err.json, {title: 'Invalid input', detail: ''})
+		t.match(err.message, `(GET ${url}) - ${JSON.stringify(body)}`)
+		t.match(await err.state.completed.catch(e => e), {
+			stats: {size: body.length},
+		})
+
+		err = await fetch(`${url}?size=10000`, {
+			validate: true,
+			errorBody: {maxBytes: 200},
+		}).catch(e => e)
+		t.equal(err.body.length, 200)
+		t.equal(err.json, undefined)
+		t.match(
+			err.message,
+			/- "\{\\"title\\":\\"Invalid input\\",\\"detail\\":\\"x+…"$/
+		)
+
+		const start = Date.now()
+		err = await makeReq(
+			{status: 500, speed: 100 * 1024},
+			{validate: true, errorBody: {timeout: 200}}
+		).catch(e => e)
+		t.ok(Date.now() - start < 1000)
+		t.match(err, {name: 'HttpError', status: 500, body: String})
+		t.ok(err.body.length < 1024 * 1024)
+	})
+
+	t.test('schemas', async t => {
+		const serve = (...bodies) => {
+			let i = 0
+			return fetch.makeFetch({
+				middleware: [
+					() => async () =>
+						new Response(
+							JSON.stringify(bodies[Math.min(i++, bodies.length - 1)])
+						),
+				],
+			})
+		}
+		const schema = {
+			type: 'object',
+			required: ['id', 'tags'],
+			additionalProperties: false,
+			properties: {
+				id: {type: 'integer', minimum: 1},
+				name: {type: ['string', 'null'], minLength: 2, pattern: '^[a-z]+$'},
+				tags: {type: 'array', maxItems: 2, items: {enum: ['a', 'b']}},
+				kind: {oneOf: [{const: 'x'}, {const: 'y'}]},
+			},
+		}
+
+		t.test('JSON Schema', async t => {
+			const ok = {id: 1, name: 'abc', tags: ['a'], kind: 'x'}
+			t.same(
+				await serve(ok)('http://invalid.localhost/', {
+					validate: {json: schema},
+				}).json(),
+				ok
+			)
+			const error = await serve({
+				id: 0.5,
+				name: 'A',
+				tags: ['c', 'a', 'b'],
+				x: 1,
+			})('http://invalid.localhost/', {validate: {json: schema}})
+				.json()
+				.catch(e => e)
+			t.match(error, {
+				name: 'ValidationError',
+				resource: 'http://invalid.localhost/',
+				fullId: /^\d+-1$/,
+			})
+			t.same(error.issues, [
+				{message: 'Expected integer, got number', path: ['id']},
+				{message: 'Expected at least 2 characters', path: ['name']},
+				{message: 'Expected to match ^[a-z]+$', path: ['name']},
+				{message: 'Expected at most 2 items', path: ['tags']},
+				{message: 'Expected one of ["a","b"]', path: ['tags', 0]},
+				{message: 'Unexpected property', path: ['x']},
+			])
+			t.match(
+				error.message,
+				/Validation: id: Expected integer, got number \(\+5 more\) \(GET http/
+			)
+		})
+
+		t.test('JSON Schema combinators', async t => {
+			const check = async (json, body) =>
+				(
+					await serve(body)('http://invalid.localhost/', {validate: {json}})
+						.json()
+						.catch(e => e)
+				).issues
+			t.same(await check({anyOf: [{type: 'string'}, {maximum: 1}]}, 2), [
+				{message: 'Expected to match a schema in anyOf', path: []},
+			])
+			t.same(await check({oneOf: [{type: 'number'}, {minimum: 1}]}, 2), [
+				{message: 'Expected to match exactly one schema in oneOf', path: []},
+			])
+			t.same(await check({not: {type: 'number'}, allOf: [false]}, 2), [
+				{message: 'Not allowed', path: []},
+				{message: 'Expected not to match the schema in not', path: []},
+			])
+			t.same(
+				await check(
+					{
+						exclusiveMinimum: 2,
+						exclusiveMaximum: 2,
+						maximum: 1,
+						additionalProperties: {type: 'string'},
+					},
+					2
+				),
+				[
+					{message: 'Expected <= 1', path: []},
+					{message: 'Expected > 2', path: []},
+					{message: 'Expected < 2', path: []},
+				]
+			)
+			t.same(
+				await check(
+					{additionalProperties: {type: 'string'}, items: true},
+					{a: 1, b: ['x'], c: [1]}
+				),
+				[
+					{message: 'Expected string, got number', path: ['a']},
+					{message: 'Expected string, got array', path: ['b']},
+					{message: 'Expected string, got array', path: ['c']},
+				]
+			)
+			t.same(await check({minItems: 2, maxLength: 1, const: 'a'}, [1]), [
+				{message: 'Expected "a"', path: []},
+				{message: 'Expected at least 2 items', path: []},
+			])
+		})
+
+		t.test('Standard Schema', async t => {
+			const standard = {
+				'~standard': {
+					version: 1,
+					vendor: 'test',
+					validate: async value =>
+						typeof value.n === 'number'
+							? {value}
+							: {issues: [{message: 'Not a number', path: [{key: 'n'}, 0]}]},
+				},
+			}
+			t.same(
+				await serve({n: 1})('http://invalid.localhost/', {
+					validate: {json: standard},
+				}).json(),
+				{n: 1}
+			)
+			// json() gives the schema's output
+			const transform = {
+				'~standard': {
+					version: 1,
+					vendor: 'test',
+					validate: value => ({value: {...value, n: Number(value.n), x: 1}}),
+				},
+			}
+			t.same(
+				await serve({n: '2'})('http://invalid.localhost/', {
+					validate: {json: transform},
+				}).json(),
+				{n: 2, x: 1}
+			)
+			await t.rejects(
+				serve({n: 'x'})('http://invalid.localhost/', {
+					validate: {json: standard},
+				}).json(),
+				{
+					name: 'ValidationError',
+					issues: [{message: 'Not a number', path: ['n', 0]}],
+				}
+			)
+
+			// arktype schemas are callable
+			const callable = Object.assign(() => t.fail('called directly'), {
+				'~standard': standard['~standard'],
+			})
+			await t.rejects(
+				serve({n: 'x'})('http://invalid.localhost/', {
+					validate: {json: callable},
+				}).json(),
+				{name: 'ValidationError', issues: [{path: ['n', 0]}]}
+			)
+		})
+
+		t.test('retries unless retryInvalid is false', async t => {
+			const f = serve({n: 'partial'}, {n: 1})
+			const res = await f('http://invalid.localhost/', {
+				retry: 2,
+				validate: {json: {properties: {n: {type: 'number'}}}},
+			})
+			t.same(await res.json(), {n: 1})
+			t.match(await res.completed, {attempts: 2})
+
+			const noRetry = serve({n: 'partial'}, {n: 1})
+			const res2 = await noRetry('http://invalid.localhost/', {
+				retry: 2,
+				validate: {
+					json: {properties: {n: {type: 'number'}}},
+					retryInvalid: false,
+				},
+			})
+			await t.rejects(res2.json(), {name: 'ValidationError'})
+			await t.rejects(res2.completed, {name: 'ValidationError'})
+		})
+	})
 })
 
 t.test('body', async t => {
@@ -554,9 +1675,1108 @@ t.test('body', async t => {
 		const res = await makeReq({id: 'null-body-test', status: 204, size: 10})
 		t.equal(res.body, null)
 	})
+
+	t.test('json option', async t => {
+		const res = await fetch(`http://localhost:${port}/json`, {
+			method: 'POST',
+			json: {size: 10},
+		})
+		t.equal(res.headers.get('received-content-type'), 'application/json')
+		t.equal(res.headers.get('received-accept'), 'application/json')
+		t.equal((await res.arrayBuffer()).byteLength, 10)
+		const custom = await fetch(`http://localhost:${port}/json`, {
+			method: 'POST',
+			json: {size: 1},
+			headers: {'content-type': 'application/json; charset=utf-8'},
+		})
+		t.equal(
+			custom.headers.get('received-content-type'),
+			'application/json; charset=utf-8'
+		)
+		await custom.text()
+	})
+
+	t.test('shortcuts on the response promise', async t => {
+		const text = await fetch(`http://localhost:${port}/json`, {
+			method: 'POST',
+			json: {size: 5},
+		}).text()
+		t.equal(text, '\0'.repeat(5))
+		const f = fetch.makeFetch({
+			middleware: [() => async () => new Response('{"a":1}')],
+		})
+		t.same(await f('http://invalid.localhost/').json(), {a: 1})
+	})
+
+	t.test('validate.json and retries work through shortcuts', async t => {
+		let n = 0
+		const f = fetch.makeFetch({
+			middleware: [() => async () => new Response(`{"n":${++n}}`)],
+			retry: 2,
+			validate: {
+				json: data => {
+					if (data.n < 2) throw new Error('too early')
+				},
+			},
+		})
+		t.same(await f('http://invalid.localhost/').json(), {n: 2})
+	})
+
+	t.test('invalid JSON fails with ParseError', async t => {
+		const res = await fetch(`http://localhost:${port}/json`, {
+			method: 'POST',
+			json: {size: 200},
+		})
+		const error = await res.json().catch(e => e)
+		t.match(error, {
+			name: 'ParseError',
+			snippet: `${'\0'.repeat(100)}…`,
+			cause: {name: 'SyntaxError'},
+		})
+		t.match(error.message, /Parse: invalid JSON.*\(POST http/)
+		await t.rejects(res.completed, {name: 'ParseError'})
+		await t.rejects(fetch(`http://localhost:${port}/`).json(), {
+			name: 'ParseError',
+			snippet: 'hello',
+		})
+	})
+})
+
+t.test('timings', async t => {
+	const {Agent} = require('undici')
+	const dispatcher = new Agent()
+	t.teardown(() => dispatcher.close())
+
+	t.test('new and reused connections', async t => {
+		const res = await makeReq({size: 100, requestTimeout: 20}, {dispatcher})
+		await res.arrayBuffer()
+		const {timings} = await res.completed
+		t.match(timings, {
+			queue: 0,
+			dns: Number,
+			connect: Number,
+			requestSent: Number,
+			firstByte: Number,
+			bodyDone: Number,
+			reused: false,
+		})
+		t.notOk('tls' in timings)
+		t.ok(timings.firstByte >= 15)
+
+		// Let the socket go back to the pool
+		await delay(10)
+		const again = await makeReq({size: 100}, {dispatcher})
+		await again.arrayBuffer()
+		const stats = await again.completed
+		t.match(stats.timings, {reused: true, firstByte: Number})
+		t.notOk('dns' in stats.timings || 'connect' in stats.timings)
+	})
+
+	t.test('TimeoutError has the timings so far', async t => {
+		const error = await makeReq(
+			{requestTimeout: 200},
+			{dispatcher, timeouts: {request: 50}}
+		).catch(e => e)
+		t.match(error, {
+			name: 'TimeoutError',
+			timings: {requestSent: Number, firstByte: undefined},
+		})
+	})
+})
+
+t.test('logger', async t => {
+	const makeLogger = () => {
+		const entries = []
+		const logger = {}
+		for (const level of ['debug', 'info', 'warn', 'error'])
+			logger[level] = (fields, message) =>
+				entries.push({level, message, ...fields})
+		return {logger, entries}
+	}
+
+	t.test('logs the lifecycle of a retried request', async t => {
+		const {logger, entries} = makeLogger()
+		const res = await fetch(`http://localhost:${port}/log`, {
+			method: 'PUT',
+			body: JSON.stringify({
+				size: 10,
+				status: 503,
+				headers: {'set-cookie': 'session=secret'},
+			}),
+			headers: {
+				'content-type': 'application/json',
+				authorization: 'Bearer secret',
+				'x-test': 'visible',
+			},
+			validate: true,
+			logger,
+			progressInterval: 10,
+			retry: ({state}) =>
+				state.attempt < 2 && {
+					options: {body: JSON.stringify({size: 100 * 1024, speed: 1e6})},
+				},
+		})
+		await res.arrayBuffer()
+		await res.completed
+		const events = entries.map(entry => entry.event)
+		t.same(events.slice(0, 5), [
+			'start',
+			'response',
+			'retry',
+			'start',
+			'response',
+		])
+		t.ok(events.includes('progress'))
+		t.equal(events.at(-1), 'done')
+		const [start, response, retry] = entries
+		t.match(start, {
+			level: 'debug',
+			message: `PUT http://localhost:${port}/log`,
+			id: Number,
+			fullId: /-1$/,
+			method: 'PUT',
+			attempt: 1,
+			headers: {authorization: '[REDACTED]', 'x-test': 'visible'},
+			body: /"status":503/,
+		})
+		t.match(response, {
+			level: 'debug',
+			message: 'HTTP 503 Service Unavailable',
+			status: 503,
+			headers: {'set-cookie': '[REDACTED]'},
+		})
+		t.match(retry, {
+			level: 'warn',
+			attempt: 1,
+			delay: 0,
+			status: 503,
+			reason: /503/,
+		})
+		t.match(
+			entries.find(entry => entry.event === 'progress'),
+			{level: 'debug', direction: 'download', loaded: Number, speed: Number}
+		)
+		t.match(entries.at(-1), {
+			level: 'info',
+			status: 200,
+			size: 100 * 1024,
+			attempts: 2,
+			message: /^done, 102400 bytes/,
+		})
+	})
+
+	t.test('logs failures and queue waits with custom levels', async t => {
+		const {logger, entries} = makeLogger()
+		const f = fetch.makeFetch({
+			maxParallel: 1,
+			logger,
+			logLevels: {queue: 'info', start: false, response: false},
+		})
+		cacheRoutes.log = {delay: 20, hits: 0}
+		cacheRoutes.log2 = {hits: 0}
+		await Promise.all([
+			f(`http://localhost:${port}/cached/log`).then(r => r.text()),
+			f(`http://localhost:${port}/cached/log2`).then(r => r.text()),
+		])
+		t.match(
+			entries.filter(entry => entry.event !== 'done'),
+			[{event: 'queue', level: 'info', waited: Number, message: /^waited/}]
+		)
+		entries.length = 0
+		const err = await f(`http://localhost:${port}/notfound`, {
+			validate: true,
+		}).catch(e => e)
+		t.match(entries, [
+			{
+				event: 'failed',
+				level: 'error',
+				err,
+				attempts: 1,
+				message: /^failed after 1 attempts: .*404/,
+			},
+		])
+	})
+
+	t.test('ignores logger errors', async t => {
+		const logger = {
+			debug: () => {
+				throw new Error('oops')
+			},
+		}
+		const res = await fetch(`http://localhost:${port}`, {logger})
+		t.equal(await res.text(), 'hello')
+	})
+})
+
+t.test('redaction', async t => {
+	t.test('HttpError hides secrets in its message and JSON', async t => {
+		cacheRoutes.redact = {
+			status: 500,
+			headers: {'set-cookie': 'session=secret', 'x-request-id': 'abc'},
+			hits: 0,
+		}
+		const err = await fetch(
+			`http://localhost:${port}/cached/redact?api-key=secret&page=2`,
+			{
+				headers: {authorization: 'Bearer secret'},
+				validate: true,
+				retry: {attempts: 2, baseDelay: 0},
+			}
+		).catch(e => e)
+		await err.state.completed.catch(() => {})
+		t.match(err.message, /\?api-key=\[REDACTED\]&page=2\)$/)
+		const json = JSON.stringify(err)
+		t.notMatch(json, 'secret')
+		t.match(JSON.parse(json), {
+			name: 'HttpError',
+			message: err.message,
+			fullId: /-2$/,
+			method: 'GET',
+			url: `http://localhost:${port}/cached/redact?api-key=[REDACTED]&page=2`,
+			status: 500,
+			statusText: 'Internal Server Error',
+			headers: {'set-cookie': '[REDACTED]', 'x-request-id': 'abc'},
+			attempts: [
+				{attempt: 1, status: 500, error: /HTTP 500/},
+				{attempt: 2, status: 500, error: /HTTP 500/},
+			],
+			stack: /^HttpError/,
+		})
+		t.notOk('state' in JSON.parse(json))
+	})
+
+	t.test('TimeoutError uses the redact option', async t => {
+		const err = await makeReq(
+			{requestTimeout: 1000, id: 'redact?token=secret'},
+			{
+				headers: {
+					'content-type': 'application/json',
+					'x-token': 'secret',
+					authorization: 'visible',
+				},
+				timeouts: {request: 50},
+				redact: ['X-Token', 'token'],
+			}
+		).catch(e => e)
+		t.match(err.message, /redact\?token=\[REDACTED\]/)
+		t.match(err.toJSON(), {
+			name: 'TimeoutError',
+			type: 'request',
+			method: 'POST',
+			headers: {'x-token': '[REDACTED]', authorization: 'visible'},
+			timings: {queue: 0},
+			attempts: [{attempt: 1, timedout: 'request'}],
+		})
+		t.notMatch(JSON.stringify(err), 'secret')
+	})
+})
+
+t.test('otel', async t => {
+	const {trace, propagation} = require('@opentelemetry/api')
+	const {otel} = require('./otel')
+	const spans = []
+	const records = []
+	let nextId = 0
+	const hex = (n, length) => n.toString(16).padStart(length, '0')
+	const tracerProvider = {
+		getTracer: () => ({
+			startSpan: (name, {kind, attributes}, ctx) => {
+				const parent = ctx && trace.getSpan(ctx)
+				const id = ++nextId
+				const spanContext = {
+					traceId: parent?.spanContext().traceId || hex(id, 32),
+					spanId: hex(id, 16),
+					traceFlags: 1,
+				}
+				const span = {
+					name,
+					kind,
+					attributes: {...attributes},
+					parent,
+					ended: false,
+					status: undefined,
+					exceptions: [],
+					spanContext: () => spanContext,
+					setAttributes: attrs => Object.assign(span.attributes, attrs),
+					setStatus: status => (span.status = status),
+					recordException: error => span.exceptions.push(error),
+					end: () => (span.ended = true),
+				}
+				spans.push(span)
+				return span
+			},
+		}),
+	}
+	const meterProvider = {
+		getMeter: () => ({
+			createHistogram: name => ({
+				record: (value, attributes) => records.push({name, value, attributes}),
+			}),
+		}),
+	}
+	propagation.setGlobalPropagator({
+		inject: (ctx, carrier, setter) => {
+			const {traceId, spanId} = trace.getSpan(ctx)?.spanContext() || {}
+			if (traceId)
+				setter.set(carrier, 'traceparent', `00-${traceId}-${spanId}-01`)
+		},
+		extract: ctx => ctx,
+		fields: () => ['traceparent'],
+	})
+	t.teardown(() => propagation.disable())
+	// @ts-ignore
+	const f = fetch.makeFetch({
+		middleware: [otel({tracerProvider, meterProvider})],
+	})
+
+	t.test('spans per fetch and attempt', async t => {
+		spans.length = 0
+		records.length = 0
+		const res = await f(`http://localhost:${port}/otel`, {
+			method: 'PUT',
+			body: JSON.stringify({size: 10, status: 503}),
+			headers: {'content-type': 'application/json'},
+			validate: true,
+			retry: ({state}) =>
+				state.attempt < 2 && {options: {body: JSON.stringify({size: 10})}},
+		})
+		t.match(res.headers.get('received-traceparent'), /^00-0+1-0+3-01$/)
+		await res.text()
+		await res.completed
+		await delay(0)
+		const [parent, first, second] = spans
+		t.match(parent, {
+			name: 'PUT',
+			kind: 2,
+			ended: true,
+			attributes: {
+				'http.request.method': 'PUT',
+				'url.full': `http://localhost:${port}/otel`,
+				'server.address': 'localhost',
+				'server.port': port,
+				'http.response.status_code': 200,
+				'http.request.resend_count': 1,
+				'http.response.body.size': 10,
+			},
+			status: undefined,
+		})
+		t.match(first, {
+			parent,
+			ended: true,
+			attributes: {
+				'fetch_extra.full_id': /-1$/,
+				'http.response.status_code': 503,
+				'error.type': 'HttpError',
+			},
+			status: {code: 2},
+			exceptions: [{name: 'HttpError'}],
+		})
+		t.notOk('http.request.resend_count' in first.attributes)
+		t.match(second, {
+			parent,
+			ended: true,
+			attributes: {
+				'http.response.status_code': 200,
+				'http.request.resend_count': 1,
+			},
+			status: undefined,
+		})
+		t.match(records, [
+			{
+				name: 'http.client.request.duration',
+				attributes: {'error.type': 'HttpError'},
+			},
+			{
+				name: 'http.client.request.duration',
+				attributes: {
+					'http.request.method': 'PUT',
+					'http.response.status_code': 200,
+				},
+			},
+			{name: 'http.client.response.body.size', value: 10},
+		])
+	})
+
+	t.test('failed requests', async t => {
+		spans.length = 0
+		const server = fastify()
+		await server.listen({port: 0})
+		const address = server.server.address()
+		const closedPort = typeof address === 'object' ? address?.port : null
+		await server.close()
+		await t.rejects(f(`http://localhost:${closedPort}`, {retry: 2}), {
+			name: 'NetworkError',
+		})
+		await delay(0)
+		t.equal(spans.length, 3)
+		t.ok(spans.every(span => span.ended && span.status?.code === 2))
+		t.match(spans[0].attributes, {
+			'error.type': 'NetworkError',
+			'http.request.resend_count': 1,
+		})
+	})
+})
+
+t.test('cache', async t => {
+	let routeId = 0
+	const route = (headers, status) => {
+		const id = String(++routeId)
+		cacheRoutes[id] = {headers, status, hits: 0}
+		return {
+			url: `http://localhost:${port}/cached/${id}`,
+			route: cacheRoutes[id],
+		}
+	}
+	const get = async (f, url, options) => {
+		const res = await f(url, options)
+		const text = await res.text()
+		return {text, status: res.status, stats: await res.completed}
+	}
+
+	t.test('fresh responses are hits', async t => {
+		const f = fetch.makeFetch({cache: true})
+		const {url, route: r} = route({'cache-control': 'max-age=60'})
+		t.match(await get(f, url), {text: 'body 1', stats: {cache: 'miss'}})
+		t.match(await get(f, url), {text: 'body 1', stats: {cache: 'hit'}})
+		t.equal(r.hits, 1)
+		t.match(await get(f, url, {cache: 'no-store'}), {text: 'body 2'})
+		t.match(await get(f, url, {cache: 'reload'}), {text: 'body 3'})
+		t.match(await get(f, url), {text: 'body 3', stats: {cache: 'hit'}})
+	})
+
+	t.test('stale responses are revalidated', async t => {
+		const f = fetch.makeFetch({cache: true})
+		const {url, route: r} = route({'cache-control': 'no-cache', etag: '"a"'})
+		t.match(await get(f, url), {text: 'body 1', stats: {cache: 'miss'}})
+		t.match(await get(f, url), {
+			text: 'body 1',
+			status: 200,
+			stats: {cache: 'revalidated'},
+		})
+		t.equal(r.hits, 2)
+		r.headers = {'cache-control': 'no-cache', etag: '"b"'}
+		t.match(await get(f, url), {text: 'body 3', stats: {cache: 'miss'}})
+	})
+
+	t.test('Expires and heuristic freshness', async t => {
+		const f = fetch.makeFetch({cache: true})
+		const expires = route({expires: new Date(Date.now() + 60e3).toUTCString()})
+		await get(f, expires.url)
+		t.match(await get(f, expires.url), {stats: {cache: 'hit'}})
+		const modified = route({
+			'last-modified': new Date(Date.now() - 3600e3).toUTCString(),
+		})
+		await get(f, modified.url)
+		t.match(await get(f, modified.url), {stats: {cache: 'hit'}})
+		const expired = route({expires: 'invalid'})
+		await get(f, expired.url)
+		t.match(await get(f, expired.url), {stats: {cache: 'miss'}})
+	})
+
+	t.test('stale-while-revalidate', async t => {
+		const f = fetch.makeFetch({cache: true})
+		const {url, route: r} = route({
+			'cache-control': 'max-age=0, stale-while-revalidate=60',
+		})
+		await get(f, url)
+		t.match(await get(f, url), {text: 'body 1', stats: {cache: 'hit'}})
+		await delay(50)
+		t.equal(r.hits, 2, 'revalidated in the background')
+		t.match(await get(f, url), {text: 'body 2', stats: {cache: 'hit'}})
+	})
+
+	t.test('stale-if-error', async t => {
+		const f = fetch.makeFetch({cache: true})
+		const {url, route: r} = route({
+			'cache-control': 'max-age=0, stale-if-error=60',
+		})
+		await get(f, url)
+		r.status = 503
+		t.match(await get(f, url), {
+			text: 'body 1',
+			status: 200,
+			stats: {cache: 'hit'},
+		})
+		r.headers = {'cache-control': 'max-age=0, must-revalidate'}
+		r.status = 200
+		await get(f, url)
+		r.status = 503
+		t.match(await get(f, url), {status: 503, stats: {cache: 'miss'}})
+	})
+
+	t.test('Vary, no-store, only-if-cached and invalidation', async t => {
+		const f = fetch.makeFetch({cache: true})
+		const varying = route({
+			'cache-control': 'max-age=60',
+			vary: 'Accept-Language',
+		})
+		const en = {headers: {'accept-language': 'en'}}
+		const fi = {headers: {'accept-language': 'fi'}}
+		t.match(await get(f, varying.url, en), {text: 'enbody 1'})
+		t.match(await get(f, varying.url, en), {stats: {cache: 'hit'}})
+		t.match(await get(f, varying.url, fi), {
+			text: 'fibody 2',
+			stats: {cache: 'miss'},
+		})
+
+		const noStore = route({'cache-control': 'no-store'})
+		await get(f, noStore.url)
+		t.match(await get(f, noStore.url), {stats: {cache: 'miss'}})
+		t.match(await get(f, noStore.url, {cache: 'only-if-cached'}), {
+			status: 504,
+		})
+
+		await get(f, varying.url, {method: 'POST'})
+		t.match(await get(f, varying.url, fi), {stats: {cache: 'miss'}})
+	})
+
+	t.test('MemoryCacheStore evicts the least recently used', async t => {
+		const store = new fetch.MemoryCacheStore({max: 2})
+		const f = fetch.makeFetch({cache: {store}})
+		const urls = [1, 2, 3].map(() => route({'cache-control': 'max-age=60'}).url)
+		for (const url of urls) await get(f, url)
+		t.same([...store.entries.keys()], urls.slice(1))
+	})
+
+	t.test('chunked bodies follow the consumer', async t => {
+		const store = new fetch.MemoryCacheStore()
+		const f = fetch.makeFetch({cache: {store, maxEntrySize: 6}})
+		let pulled = 0
+		let cancelled = false
+		const origin = () => async () =>
+			new Response(
+				new ReadableStream({
+					pull(controller) {
+						if (++pulled > 3) return controller.close()
+						controller.enqueue(new TextEncoder().encode('abcd'))
+					},
+					cancel() {
+						cancelled = true
+					},
+				}),
+				{headers: {'cache-control': 'max-age=60'}}
+			)
+		const big = 'http://invalid.localhost/big'
+		t.equal(await (await f(big, {middleware: [origin]})).text(), 'abcdabcdabcd')
+		await delay(10)
+		t.equal(store.entries.size, 0, 'over maxEntrySize')
+
+		pulled = 0
+		const res = await f('http://invalid.localhost/slow', {middleware: [origin]})
+		await delay(10)
+		t.ok(pulled <= 2, 'nothing read ahead of the consumer')
+		await res.body?.cancel()
+		t.ok(cancelled, 'consumer cancel stops the download')
+		t.equal(store.entries.size, 0)
+	})
+
+	t.test('FileCacheStore', async t => {
+		const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fetch-extra-cache-'))
+		t.teardown(() => fs.rmSync(dir, {recursive: true, force: true}))
+		const {url} = route({'cache-control': 'max-age=60'})
+		const first = fetch.makeFetch({
+			cache: {store: new fetch.FileCacheStore(dir)},
+		})
+		await get(first, url)
+		await delay(50)
+		const second = fetch.makeFetch({
+			cache: {store: new fetch.FileCacheStore(dir)},
+		})
+		t.match(await get(second, url), {text: 'body 1', stats: {cache: 'hit'}})
+		await second.cache?.store.delete(url)
+		t.match(await get(second, url), {text: 'body 2', stats: {cache: 'miss'}})
+
+		const store = new fetch.FileCacheStore(dir)
+		const entry = n => ({status: 200, headers: [], body: Buffer.from(`${n}`)})
+		await Promise.all([1, 2, 3].map(n => store.set('same', entry(n))))
+		t.match(await store.get('same'), {status: 200})
+		t.same(
+			fs.readdirSync(dir).filter(name => name.endsWith('.tmp')),
+			[],
+			'no leftover temp files'
+		)
+	})
+})
+
+t.test('dedupe', async t => {
+	let routeId = 0
+	const route = () => {
+		const id = `dedupe-${++routeId}`
+		cacheRoutes[id] = {delay: 50, hits: 0}
+		return {
+			url: `http://localhost:${port}/cached/${id}`,
+			route: cacheRoutes[id],
+		}
+	}
+
+	t.test('concurrent requests share one', async t => {
+		const f = fetch.makeFetch({dedupe: true, maxParallel: 1})
+		const {url, route: r} = route()
+		const responses = await Promise.all([f(url), f(url), f(url)])
+		t.same(await Promise.all(responses.map(res => res.text())), [
+			'body 1',
+			'body 1',
+			'body 1',
+		])
+		t.equal(r.hits, 1)
+		t.not(responses[0].completed, responses[1].completed)
+		t.match(await responses[1].completed, {size: 6})
+		t.equal(await f(url).then(res => res.text()), 'body 2')
+	})
+
+	t.test('different methods and key headers are separate', async t => {
+		const f = fetch.makeFetch({dedupe: {headers: ['authorization']}})
+		const {url, route: r} = route()
+		await Promise.all([
+			f(url).then(res => res.text()),
+			f(url, {headers: {authorization: 'a'}}).then(res => res.text()),
+			f(url, {headers: {'accept-language': 'fi'}}).then(res => res.text()),
+			f(url, {method: 'POST'}).then(res => res.text()),
+		])
+		t.equal(r.hits, 3)
+	})
+
+	t.test('aborting one caller keeps the others', async t => {
+		const f = fetch.makeFetch({dedupe: true})
+		const {url, route: r} = route()
+		const controller = new AbortController()
+		const aborted = f(url, {signal: controller.signal})
+		const other = f(url)
+		await delay(20)
+		controller.abort()
+		await t.rejects(aborted, {name: 'AbortError'})
+		t.equal(await other.then(res => res.text()), 'body 1')
+		t.equal(r.hits, 1)
+	})
+
+	t.test('failures reject every caller with its own error', async t => {
+		const server = fastify()
+		await server.listen({port: 0})
+		const address = server.server.address()
+		const closedPort = typeof address === 'object' ? address?.port : null
+		await server.close()
+		const f = fetch.makeFetch({dedupe: true})
+		const url = `http://localhost:${closedPort}/`
+		const [a, b] = await Promise.all([1, 2].map(() => f(url).catch(e => e)))
+		t.not(a, b)
+		t.match(a, {name: 'NetworkError', cause: {code: 'ECONNREFUSED'}})
+		t.match(b, {name: 'NetworkError', cause: a})
+		t.not(a.state, b.state)
+		t.not(a.fullId, b.fullId)
+		t.match(b.message, new RegExp(`^${b.fullId} Network`))
+		t.not(a.stats, b.stats)
+		t.not(a.attempts, b.attempts)
+		t.equal(b.attempts[0].error, b)
+	})
+
+	t.test('aborting every caller aborts the request', async t => {
+		const dedupe = fetch.dedupe()
+		const f = fetch.makeFetch({middleware: [dedupe]})
+		const controller = new AbortController()
+		const {url} = route()
+		const requests = [1, 2].map(() => f(url, {signal: controller.signal}))
+		await delay(20)
+		t.equal(dedupe.inFlight.size, 1)
+		controller.abort()
+		for (const req of requests) await t.rejects(req, {name: 'AbortError'})
+		await delay(10)
+		t.equal(dedupe.inFlight.size, 0)
+	})
+
+	t.test('callers joining a slow request have their own timeouts', async t => {
+		const f = fetch.makeFetch({dedupe: true})
+		const {url, route: r} = route()
+		r.delay = 1000
+		const leader = f(url).then(res => res.text())
+		await delay(20)
+		const start = Date.now()
+		await Promise.all([
+			t.rejects(f(url, {timeouts: {request: 200}, retry: 0}), {
+				name: 'TimeoutError',
+				type: 'request',
+			}),
+			t.rejects(f(url, {timeout: 300, retry: 0}), {
+				name: 'TimeoutError',
+				type: 'overall',
+			}),
+		])
+		t.ok(Date.now() - start < 800, 'before the leader finished')
+		t.equal(await leader, 'body 1')
+		t.equal(r.hits, 1)
+	})
+
+	t.test('a caller aborting the body keeps the others', async t => {
+		const f = fetch.makeFetch({dedupe: true})
+		const controller = new AbortController()
+		const url = `http://localhost:${port}/resumable?mode=stall`
+		const [res1, res2] = await Promise.all([
+			f(url, {signal: controller.signal}),
+			f(url),
+		])
+		controller.abort()
+		await t.rejects(res1.arrayBuffer(), {name: 'AbortError'})
+		const reader = /** @type {ReadableStreamDefaultReader} */ (
+			res2.body?.getReader()
+		)
+		let received = 0
+		while (received < resumableData.length / 2)
+			received += (await reader.read()).value.byteLength
+		t.equal(received, resumableData.length / 2)
+		await reader.cancel()
+	})
+})
+
+t.test('createClient', async t => {
+	const seen = []
+	/** @type {Middleware} */
+	const capture = next => async (resource, options, state) => {
+		seen.push({resource, options})
+		return next(resource, options, state)
+	}
+	const client = fetch.createClient({
+		baseURL: `http://localhost:${port}`,
+		headers: {authorization: 'Bearer a', 'x-client': 'root'},
+		searchParams: {v: 1, debug: undefined},
+		timeouts: {request: 1000},
+		method: 'PUT',
+		middleware: [capture],
+		maxParallel: 1,
+	})
+	const body = JSON.stringify({size: 10, requestTimeout: 100})
+	const json = {'content-type': 'application/json'}
+
+	t.test('resolves resources and merges options', async t => {
+		seen.length = 0
+		const res = await client('/child', {
+			body,
+			headers: {...json, 'x-client': 'call'},
+			searchParams: [
+				['v', '2'],
+				['q', 'x'],
+			],
+			timeouts: {overall: 5000},
+		})
+		t.equal(res.headers.get('received-authorization'), 'Bearer a')
+		t.equal(res.headers.get('received-x-client'), 'call')
+		await res.text()
+		t.equal(seen[0].resource, `http://localhost:${port}/child?v=2&q=x`)
+		t.match(seen[0].options, {
+			method: 'PUT',
+			timeouts: {request: 1000, overall: 5000},
+		})
+		t.notOk('baseURL' in seen[0].options)
+
+		await client(`http://localhost:${port}/abs?a=1`, {
+			body,
+			headers: json,
+		}).then(r => r.text())
+		t.equal(seen[1].resource, `http://localhost:${port}/abs?a=1&v=1`)
+		await client(new URL(`http://localhost:${port}/url`), {
+			body,
+			headers: json,
+		}).then(r => r.text())
+		t.equal(seen[2].resource, `http://localhost:${port}/url?v=1`)
+		await client
+			.extend({baseURL: `http://localhost:${port}/v1`})('/path/x', {
+				method: 'GET',
+			})
+			.then(r => r.text())
+		t.equal(seen[3].resource, `http://localhost:${port}/v1/path/x?v=1`)
+	})
+
+	t.test('extend derives clients sharing the limits', async t => {
+		const child = client.extend({
+			baseURL: `http://localhost:${port}/`,
+			headers: {'x-client': 'child'},
+			searchParams: 'v=3',
+		})
+		t.match(child.options, {method: 'PUT', timeouts: {request: 1000}})
+		const start = Date.now()
+		const [res] = await Promise.all([
+			child('child', {body, headers: json}).then(async r => {
+				await r.text()
+				return r
+			}),
+			client('root', {body, headers: json}).then(r => r.text()),
+		])
+		t.equal(res.headers.get('received-authorization'), 'Bearer a')
+		t.equal(res.headers.get('received-x-client'), 'child')
+		t.equal(res.headers.get('received-id'), 'child')
+		t.ok(Date.now() - start >= 200, 'waited for the shared slot')
+		t.equal(seen.at(-2).resource, `http://localhost:${port}/child?v=3`)
+	})
+
+	t.test('makeFetch options only go to createClient', async t => {
+		t.throws(() => client.extend({cache: true}), TypeError)
+		t.throws(() => client.extend({middleware: []}), TypeError)
+		t.throws(() => client('x', {dedupe: true}), /`dedupe` can only be given/)
+		t.throws(() => client('x', {circuitBreaker: {}}), TypeError)
+		const child = client.extend({cache: 'no-store'})
+		t.equal(child.options.cache, 'no-store')
+		const res = await child('mode', {body, headers: json})
+		t.equal(res.headers.get('received-id'), 'mode')
+		await res.text()
+	})
+
+	t.test('Request resources keep their headers', async t => {
+		const req = new fetch.Request(`http://localhost:${port}/req`, {
+			method: 'PUT',
+			headers: {...json, 'x-client': 'request'},
+			body,
+		})
+		const res = await client(req)
+		t.equal(res.headers.get('received-x-client'), 'request')
+		t.equal(res.headers.get('received-authorization'), 'Bearer a')
+		await res.text()
+	})
 })
 
 t.test('makeFetch', async t => {
 	const limitedFetch = fetch.makeFetch(2, 4)
 	t.type(limitedFetch, 'function')
+	t.equal(fetch.makeFetch(), fetch)
+
+	const slowReq = (f, options) =>
+		f(`http://localhost:${port}/`, {
+			method: 'POST',
+			body: JSON.stringify({requestTimeout: 100, size: 10}),
+			headers: {'content-type': 'application/json'},
+			...options,
+		}).then(res => res.text())
+
+	t.test('maxParallel', async t => {
+		const f = fetch.makeFetch({maxParallel: 1})
+		const start = Date.now()
+		await Promise.all([slowReq(f), slowReq(f)])
+		t.ok(Date.now() - start >= 200)
+	})
+
+	t.test('maxParallel releases after failures', async t => {
+		const f = fetch.makeFetch(1)
+		await t.rejects(slowReq(f, {timeout: 10}), {name: 'TimeoutError'})
+		t.equal(await slowReq(f), '\0'.repeat(10))
+	})
+
+	t.test('perOrigin', async t => {
+		const hostReq = (f, host) =>
+			slowReq((_url, options) => f(`http://${host}:${port}/`, options))
+		const mw = fetch.perOrigin({
+			maxParallel: 1,
+			overrides: [[/127\.0\.0\.1/, {maxParallel: 2}]],
+			idleTimeout: 50,
+		})
+		const f = fetch.makeFetch({middleware: [mw]})
+
+		let start = Date.now()
+		await Promise.all([hostReq(f, 'localhost'), hostReq(f, 'localhost')])
+		t.ok(Date.now() - start >= 200, 'same origin is limited')
+
+		start = Date.now()
+		await Promise.all([hostReq(f, '127.0.0.1'), hostReq(f, '127.0.0.1')])
+		t.ok(Date.now() - start < 200, 'override allows more')
+		t.same(
+			[...mw.origins.keys()],
+			[`http://localhost:${port}`, `http://127.0.0.1:${port}`]
+		)
+
+		await delay(100)
+		await hostReq(f, '127.0.0.1')
+		t.same([...mw.origins.keys()], [`http://127.0.0.1:${port}`], 'evicted')
+	})
+
+	t.test('perOrigin option and glob overrides', async t => {
+		const f = fetch.makeFetch({
+			perOrigin: {maxParallel: 2, overrides: {'localhost:*': {maxParallel: 1}}},
+		})
+		const start = Date.now()
+		await Promise.all([slowReq(f), slowReq(f)])
+		t.ok(Date.now() - start >= 200)
+	})
+
+	t.test('queue', async t => {
+		t.test('priority order and queueDuration', async t => {
+			const f = fetch.makeFetch({maxParallel: 1})
+			const order = []
+			const req = (name, priority) =>
+				slowReq(f, {priority}).then(() => order.push(name))
+			const first = req('first', 0)
+			await Promise.all([req('low', -1), req('normal', 0), req('high', 5)])
+			await first
+			t.same(order, ['first', 'high', 'normal', 'low'])
+
+			const blocker = slowReq(f)
+			const res = await f(`http://localhost:${port}/`)
+			await res.text()
+			const stats = await res.completed
+			t.ok(stats.queueDuration >= 50, 'queued')
+			t.ok(stats.duration < stats.queueDuration, 'duration excludes queue')
+			await blocker
+		})
+
+		t.test('queue timeout', async t => {
+			const f = fetch.makeFetch({maxParallel: 1})
+			const blocker = slowReq(f)
+			await t.rejects(slowReq(f, {timeouts: {queue: 20}}), {
+				name: 'QueueTimeoutError',
+				timeout: 20,
+				message: 'Timeout: queue after 20ms',
+			})
+			await blocker
+		})
+
+		t.test('user abort while queued', async t => {
+			const f = fetch.makeFetch({maxParallel: 1})
+			const blocker = slowReq(f)
+			const controller = new AbortController()
+			setTimeout(() => controller.abort(new Error('gave up')), 20)
+			await t.rejects(slowReq(f, {signal: controller.signal}), {
+				message: 'gave up',
+			})
+			await blocker
+		})
+
+		t.test('maxQueued', async t => {
+			const f = fetch.makeFetch({maxParallel: 1, maxQueued: 1})
+			const running = [slowReq(f), slowReq(f)]
+			await t.rejects(slowReq(f), {name: 'QueueFullError', maxQueued: 1})
+			await Promise.all(running)
+		})
+	})
+
+	t.test('circuitBreaker', async t => {
+		const f = fetch.makeFetch({
+			circuitBreaker: {failureThreshold: 2, openDuration: 100},
+		})
+		const {circuitBreaker} = f
+		const changes = []
+		circuitBreaker?.on('stateChange', c => changes.push(c.state))
+		const req = status =>
+			f(`http://localhost:${port}/`, {
+				method: 'POST',
+				body: JSON.stringify({status, size: 1}),
+				headers: {'content-type': 'application/json'},
+			}).then(res => res.text().then(() => res.status))
+		const url = `http://localhost:${port}/`
+
+		t.equal(await req(500), 500)
+		t.equal(circuitBreaker?.getState(url), 'closed')
+		t.equal(await req(503), 503)
+		t.equal(circuitBreaker?.getState(url), 'open')
+		await t.rejects(req(200), {
+			name: 'CircuitOpenError',
+			origin: `http://localhost:${port}`,
+		})
+
+		await delay(120)
+		t.equal(await req(500), 500, 'failed probe')
+		t.equal(circuitBreaker?.getState(url), 'open')
+		await delay(120)
+		const probe = req(200)
+		await t.rejects(req(200), {name: 'CircuitOpenError'}, 'one probe only')
+		t.equal(await probe, 200)
+		t.equal(circuitBreaker?.getState(url), 'closed')
+		t.same(changes, ['open', 'half-open', 'open', 'half-open', 'closed'])
+	})
+
+	t.test('circuitBreaker aborted probe and idle origins', async t => {
+		const breaker = fetch.circuitBreaker({
+			failureThreshold: 1,
+			openDuration: 50,
+			idleTimeout: 100,
+		})
+		const f = fetch.makeFetch({middleware: [breaker]})
+		const url = `http://localhost:${port}/`
+		await slowReq(f, {body: JSON.stringify({status: 500, size: 1})})
+		t.equal(breaker.getState(url), 'open')
+		await delay(60)
+		const controller = new AbortController()
+		setTimeout(() => controller.abort(), 20)
+		await t.rejects(
+			slowReq(f, {
+				body: JSON.stringify({requestTimeout: 1000}),
+				signal: controller.signal,
+			}),
+			{name: 'AbortError'}
+		)
+		t.equal(breaker.getState(url), 'half-open')
+		t.match(breaker.origins.get(`http://localhost:${port}`), {probes: 0})
+		t.equal(await slowReq(f), '\0'.repeat(10), 'another probe goes through')
+		t.equal(breaker.getState(url), 'closed')
+
+		t.equal(breaker.getState('http://unknown.example/'), 'closed')
+		t.notOk(breaker.origins.has('http://unknown.example'))
+		await delay(120)
+		await slowReq((_url, options) => f(`http://127.0.0.1:${port}/`, options))
+		t.same([...breaker.origins.keys()], [`http://127.0.0.1:${port}`])
+	})
+
+	t.test('circuitBreaker half-open is decided by probes only', async t => {
+		const breaker = fetch.circuitBreaker({
+			failureThreshold: 1,
+			openDuration: 50,
+		})
+		const f = fetch.makeFetch({middleware: [breaker]})
+		const url = `http://localhost:${port}/`
+		const early = slowReq(f, {body: JSON.stringify({requestTimeout: 150})})
+		await delay(10)
+		await slowReq(f, {body: JSON.stringify({status: 500, size: 1})})
+		t.equal(breaker.getState(url), 'open')
+		await delay(60)
+		t.equal(breaker.getState(url), 'half-open')
+		await early
+		t.equal(breaker.getState(url), 'half-open', 'not closed by an old request')
+		await slowReq(f)
+		t.equal(breaker.getState(url), 'closed')
+	})
+
+	t.test('circuitBreaker failure rate', async t => {
+		const breaker = fetch.circuitBreaker({
+			failureRate: 0.5,
+			minRequests: 4,
+			failureThreshold: 10,
+		})
+		const f = fetch.makeFetch({middleware: [breaker]})
+		const req = status => slowReq(f, {body: JSON.stringify({status, size: 1})})
+		for (const status of [200, 500, 200]) await req(status)
+		t.equal(breaker.getState(`http://localhost:${port}`), 'closed')
+		await req(500)
+		t.equal(breaker.getState(`http://localhost:${port}`), 'open')
+		t.match(breaker.origins.get(`http://localhost:${port}`), {failures: 1})
+	})
+
+	t.test('middleware and defaults', async t => {
+		const calls = []
+		/** @type {Middleware} */
+		const log = next => async (resource, options, state) => {
+			calls.push(`${options.method} ${state.fullId}`)
+			const res = await next(resource, options, state)
+			calls.push(res.status)
+			return res
+		}
+		const f = fetch.makeFetch({
+			middleware: [log],
+			maxRps: 100,
+			operationId: 'mw',
+			method: 'PUT',
+			validate: true,
+			retry: 2,
+		})
+		await t.rejects(
+			f(`http://localhost:${port}/`, {
+				body: JSON.stringify({status: 500}),
+				headers: {'content-type': 'application/json'},
+			}),
+			{name: 'HttpError'}
+		)
+		t.same(calls, ['PUT mw-1', 500, 'PUT mw-2', 500])
+	})
+
+	t.test('middleware can answer without the network', async t => {
+		const f = fetch.makeFetch({
+			middleware: [() => async () => new Response('cached')],
+		})
+		const res = await f('http://invalid.localhost/')
+		t.equal(await res.text(), 'cached')
+		t.match(await res.completed, {attempts: 1})
+	})
 })
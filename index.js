@@ -1,38 +1,70 @@
 const debug = require('debug')
+const {createHash, randomUUID} = require('crypto')
+const fs = require('fs/promises')
 const {performance} = require('perf_hooks')
 const {ReadableStream} = require('stream/web')
-const {HttpError, TimeoutError} = require('./errors')
+const {
+	HttpError,
+	TimeoutError,
+	RetryAfterError,
+	IntegrityError,
+	QueueTimeoutError,
+	QueueFullError,
+	CircuitOpenError,
+	ParseError,
+	ValidationError,
+	FetchExtraError,
+	NetworkError,
+	AbortError,
+	SizeLimitError,
+	wrapError,
+} = require('./errors')
+const {
+	concurrency,
+	rateLimit,
+	perOrigin,
+	circuitBreaker,
+	dedupe,
+	compose,
+} = require('./middleware')
+const {cache, MemoryCacheStore, FileCacheStore} = require('./cache')
+const {createClient} = require('./client')
+const {isStandardSchema, makeSchemaValidator} = require('./schema')
+const {recordTimings, getTimings} = require('./timings')
+const {log, previewBody} = require('./logger')
+const {getRedactNames, redactHeaders, redactUrl} = require('./redact')
 const dbg = debug('fetch')
-const {RESPONSE_TYPES, STATE_INTERNAL} = require('./constants')
+const {
+	RESPONSE_TYPES,
+	STATE_INTERNAL,
+	IDEMPOTENT_METHODS,
+	RETRYABLE_ERROR_CODES,
+} = require('./constants')
+const {fetch: origFetch, Headers, Request, Response} = require('./fetch-api')
 
-let origFetch = globalThis.fetch,
-	Headers = globalThis.Headers,
-	Request = globalThis.Request,
-	Response = globalThis.Response,
-	DOMException = globalThis.DOMException
-
-try {
-	const undici = require('undici')
-	// @ts-ignore
-	origFetch = undici.fetch
-	// @ts-ignore
-	Headers = undici.Headers
-	// @ts-ignore
-	Request = undici.Request
+/**
+ * @param {FetchState} state
+ * @param {T}          name
+ * @returns {NonNullable<FetchHooks[T]>}
+ * @template {keyof FetchHooks} T
+ */
+const getHooks = (state, name) =>
 	// @ts-ignore
-	Response = undici.Response
-	if (!DOMException) {
-		DOMException = require('undici/lib/fetch/constants').DOMException
-	}
-} catch (err) {
-	if (
-		err.code === 'MODULE_NOT_FOUND' &&
-		// @ts-ignore
-		origFetch
-	) {
-		// do nothing, we'll use the built-in fetch
-	} else {
-		throw err
+	state.options.hooks?.[name] || []
+
+/**
+ * Runs the `onComplete` hooks in order, their errors are only logged.
+ *
+ * @param {FetchStats | Error} result
+ * @param {FetchState}         state
+ */
+const runCompleteHooks = async (result, state) => {
+	for (const hook of getHooks(state, 'onComplete')) {
+		try {
+			await hook(result, state)
+		} catch (error) {
+			dbg(state.fullId, 'onComplete hook failed', error)
+		}
 	}
 }
 
@@ -41,18 +73,61 @@ class FetchState {
 	constructor(resource, options) {
 		this[STATE_INTERNAL] = {
 			signalCompleted: error => {
+				if (this[STATE_INTERNAL].settled) return
+				this[STATE_INTERNAL].settled = true
+				recordAttempt({state: this, error})
 				const {size, startTs} = this
 				const duration = performance.now() - startTs
 				const speed = this.size ? Math.round(this.size / duration) : 0
-				const stats = {size, duration, speed, attempts: this.attempt}
+				const stats = {
+					size,
+					duration,
+					speed,
+					attempts: this.attempt,
+					resumes: this.resumes,
+					queueDuration: this.queueDuration,
+					timings: this.timings,
+					history: this.attempts,
+				}
+				if (this.cache) stats.cache = this.cache
+				if (this.uploadSize !== undefined) {
+					const {uploadSize, uploadDuration} = this
+					Object.assign(stats, {
+						uploadSize,
+						uploadSpeed: uploadDuration
+							? Math.round(uploadSize / uploadDuration)
+							: undefined,
+					})
+				}
+				if (error instanceof Object) {
+					// Hidden from JSON, the history holds the error itself
+					const hidden = {configurable: true, writable: true}
+					Object.defineProperties(error, {
+						stats: {...hidden, value: stats},
+						attempts: {...hidden, value: this.attempts},
+					})
+				}
 				if (error) {
-					// @ts-ignore
-					error.stats = stats
 					// @ts-ignore
 					this[STATE_INTERNAL].reject(error)
+					log(
+						this,
+						'failed',
+						{err: error, attempts: this.attempt, duration},
+						`failed after ${this.attempt} attempts: ${error.message}`
+					)
 				} else {
 					this[STATE_INTERNAL].resolve(stats)
+					log(
+						this,
+						'done',
+						{status: this[STATE_INTERNAL].status, ...stats},
+						`done, ${size ?? 0} bytes in ${Math.round(
+							duration
+						)}ms (${speed} bytes/ms)`
+					)
 				}
+				runCompleteHooks(error || stats, this)
 			},
 		}
 		this.resource = resource
@@ -66,19 +141,165 @@ class FetchState {
 		// prevent node uncaught exception
 		this.completed.catch(() => {})
 		this.attempt = 0
+		/** @type {AttemptRecord[]} */
+		this.attempts = []
+		this.resumes = 0
+		this.queueDuration = 0
 		this.size = undefined
 		this.startTs = undefined
+		this.uploadSize = undefined
+		this.uploadDuration = undefined
+		this.nextDelay = undefined
+		const {idempotencyKey} = this.options
+		delete this.options.idempotencyKey
+		this.idempotencyKey =
+			idempotencyKey === true
+				? randomUUID()
+				: typeof idempotencyKey === 'function'
+				? idempotencyKey(this)
+				: idempotencyKey || undefined
 	}
 
 	get fullId() {
 		return `${this.id}-${this.attempt}`
 	}
+
+	/** Phase durations of the current attempt */
+	get timings() {
+		return getTimings(this[STATE_INTERNAL].timings, this.queueDuration)
+	}
 }
 
-const wrapBodyStream = (stream, state) => {
+/**
+ * Returns a throttled reporter calling the `onProgress` option for one
+ * direction of the transfer. Transfers lasting longer than `progressInterval`
+ * also get `progress` log events.
+ *
+ * @param {FetchState}            state
+ * @param {'download' | 'upload'} direction
+ * @param {number | undefined}    total
+ * @returns {(loaded: number, done?: boolean) => void}
+ */
+const makeProgress = (state, direction, total) => {
+	const {onProgress, progressInterval = 500} = state[STATE_INTERNAL].options
+	const startTs = performance.now()
+	let lastTs = startTs
+	return (loaded, done) => {
+		const now = performance.now()
+		if (!done && now - lastTs < progressInterval) return
+		lastTs = now
+		const duration = now - startTs
+		const progress = {
+			loaded,
+			total,
+			speed: duration ? Math.round(loaded / duration) : 0,
+			attempt: state.attempt,
+			direction,
+		}
+		if (!done)
+			log(
+				state,
+				'progress',
+				progress,
+				`${direction} ${loaded}${total ? `/${total}` : ''} bytes`
+			)
+		if (!onProgress) return
+		try {
+			onProgress(progress)
+		} catch (error) {
+			dbg(state.fullId, 'onProgress failed', error)
+		}
+	}
+}
+
+/**
+ * Returns the `If-Range` validator when `response` can be resumed with a Range
+ * request: a 200 to a GET, with `Accept-Ranges: bytes`, no content encoding and
+ * a strong ETag or a Last-Modified date.
+ *
+ * @param {Response}   response
+ * @param {FetchState} state
+ * @returns {string | undefined}
+ */
+const getResumeValidator = (response, state) => {
+	const {headers} = response
+	if (
+		response.status !== 200 ||
+		state[STATE_INTERNAL].options.method !== 'GET' ||
+		!/\bbytes\b/.test(headers.get('accept-ranges') || '') ||
+		(headers.get('content-encoding') || 'identity') !== 'identity'
+	)
+		return
+	const etag = headers.get('etag')
+	if (etag && !etag.startsWith('W/')) return etag
+	return headers.get('last-modified') || undefined
+}
+
+const wrapBodyStream = (stream, state, response) => {
 	const {makeAbort, clearAbort, onBodyResolve, onBodyError} =
 		state[STATE_INTERNAL]
-	let reader
+	const resumeValidator = state[STATE_INTERNAL].options.resume
+		? getResumeValidator(response, state)
+		: undefined
+	const contentLength = response.headers.get('content-length')
+	const {maxSize} = state[STATE_INTERNAL].options
+	let reader, progress
+
+	/**
+	 * Requests the rest of the body after a network error or a stall, and
+	 * continues reading from the new response.
+	 *
+	 * @returns {Promise<boolean>} Whether reading can continue.
+	 */
+	const resume = async () => {
+		const internal = state[STATE_INTERNAL]
+		const {resume: maxResumes} = internal.options
+		if (
+			!resumeValidator ||
+			state.resumes >= (maxResumes === true ? 3 : maxResumes) ||
+			state.options.signal?.aborted ||
+			(internal.timedout && internal.timedout !== 'stall')
+		)
+			return false
+		state.resumes++
+		dbg(`${state.fullId} resuming body from byte ${state.size}`)
+		internal.timedout = undefined
+		const signal = internal.renewSignal?.()
+		const headers = new Headers(internal.options.headers)
+		headers.set('range', `bytes=${state.size}-`)
+		headers.set('if-range', resumeValidator)
+		try {
+			makeAbort?.('request')
+			const res = await compose(internal.options.middleware || [], (r, o) =>
+				origFetch(r, o)
+			)(state.resource, {...internal.options, headers, signal}, state)
+			clearAbort?.('request')
+			const range = /^bytes (\d+)-/.exec(res.headers.get('content-range') || '')
+			if (res.status !== 206 || Number(range?.[1]) !== state.size) {
+				dbg(`${state.fullId} resume refused: HTTP ${res.status}`)
+				if (res.body) dump(res.body)
+				return false
+			}
+			reader.releaseLock()
+			reader = res.body.getReader()
+			makeAbort?.('stall')
+			return true
+		} catch (error) {
+			clearAbort?.('request')
+			dbg(`${state.fullId} resume failed`, error)
+			return false
+		}
+	}
+
+	const read = async () => {
+		for (;;) {
+			try {
+				return await reader.read()
+			} catch (error) {
+				if (!(await resume())) throw error
+			}
+		}
+	}
 
 	return new ReadableStream({
 		type: 'bytes',
@@ -94,18 +315,32 @@ const wrapBodyStream = (stream, state) => {
 				state.bodyTs = performance.now()
 				state.size = 0
 			}
+			progress ||= makeProgress(
+				state,
+				'download',
+				contentLength ? Number(contentLength) : undefined
+			)
 			makeAbort?.('stall')
-			const {done, value} = await reader.read().catch(e => {
-				onBodyError(e)
-				throw e
+			const {done, value} = await read().catch(e => {
+				const error = wrapError(e, state)
+				onBodyError(error)
+				throw error
 			})
 			clearAbort?.('stall')
 			if (done) {
+				progress(state.size, true)
 				onBodyResolve()
 				return controller.close()
 			}
 			state.size += value.byteLength
+			if (maxSize !== undefined && state.size > maxSize) {
+				const error = new SizeLimitError(maxSize, state.size, state)
+				reader.cancel(error).catch(() => {})
+				onBodyError(error)
+				throw error
+			}
 			controller.enqueue(value)
+			progress(state.size)
 		},
 
 		cancel(reason) {
@@ -114,6 +349,217 @@ const wrapBodyStream = (stream, state) => {
 	})
 }
 
+const UPLOAD_CHUNK_SIZE = 64 * 1024
+
+/**
+ * Returns an async iterator over the chunks of a streaming, Blob or Buffer
+ * request body, or `undefined` for bodies we don't track (strings, forms...).
+ *
+ * @param {any} body
+ * @returns {AsyncIterator<Uint8Array> | undefined}
+ */
+const getUploadIterator = body => {
+	if (body instanceof Blob) return body.stream()[Symbol.asyncIterator]()
+	if (ArrayBuffer.isView(body) || body instanceof ArrayBuffer) {
+		const bytes = ArrayBuffer.isView(body)
+			? new Uint8Array(body.buffer, body.byteOffset, body.byteLength)
+			: new Uint8Array(body)
+		return (async function* () {
+			for (let i = 0; i < bytes.byteLength; i += UPLOAD_CHUNK_SIZE)
+				yield bytes.subarray(i, i + UPLOAD_CHUNK_SIZE)
+		})()
+	}
+	if (body && typeof body[Symbol.asyncIterator] === 'function')
+		return body[Symbol.asyncIterator]()
+}
+
+/**
+ * Wraps the request body in `options` to measure the upload and handle the
+ * `upload` and `uploadStall` timeouts. Known body sizes are kept as
+ * Content-Length. Blob and Buffer bodies are only wrapped for the upload
+ * timeouts and `onProgress`, a stream can't be sent again on a 307 or 308
+ * redirect.
+ */
+const wrapUploadBody = (options, state) => {
+	const {body} = options
+	const knownSize = body instanceof Blob ? body.size : body?.byteLength
+	if (
+		knownSize !== undefined &&
+		!options.timeouts?.upload &&
+		!options.timeouts?.uploadStall &&
+		!options.onProgress
+	) {
+		state.uploadSize = knownSize
+		return
+	}
+	const iterator = getUploadIterator(body)
+	if (!iterator) return
+	const {makeAbort, clearAbort} = state[STATE_INTERNAL]
+	const headers = new Headers(
+		// @ts-ignore
+		options.headers || state.resource?.headers
+	)
+	if (knownSize !== undefined && !headers.has('content-length'))
+		headers.set('content-length', String(knownSize))
+	if (body instanceof Blob && body.type && !headers.has('content-type'))
+		headers.set('content-type', body.type)
+	let uploadTs, progress
+
+	options.headers = headers
+	options.duplex = 'half'
+	options.body = new ReadableStream(
+		{
+			async pull(controller) {
+				if (!uploadTs) {
+					dbg(`${state.fullId} upload started`)
+					makeAbort?.('upload')
+					uploadTs = performance.now()
+					state.uploadSize = 0
+					const length = headers.get('content-length')
+					progress = makeProgress(
+						state,
+						'upload',
+						length ? Number(length) : undefined
+					)
+				}
+				makeAbort?.('uploadStall')
+				const {done, value} = await iterator.next()
+				if (done) {
+					dbg(`${state.fullId} upload complete`)
+					state.uploadDuration = performance.now() - uploadTs
+					progress(state.uploadSize, true)
+					clearAbort?.('upload')
+					clearAbort?.('uploadStall')
+					return controller.close()
+				}
+				const chunk = typeof value === 'string' ? Buffer.from(value) : value
+				state.uploadSize += chunk.byteLength
+				controller.enqueue(chunk)
+				progress(state.uploadSize)
+			},
+
+			async cancel(reason) {
+				clearAbort?.('upload')
+				clearAbort?.('uploadStall')
+				await iterator.return?.(reason)
+			},
+		},
+		// Pull only when the connection asks for more
+		{highWaterMark: 0}
+	)
+}
+
+/**
+ * Calculates the delay before the next attempt for the object form of `retry`
+ *
+ * @param {RetryOptions}  retry
+ * @param {RetryFnParams} params
+ * @returns {number}
+ */
+const getBackoffDelay = (retry, params) => {
+	const {
+		backoff = 'exponential',
+		baseDelay = 100,
+		maxDelay = 30_000,
+		jitter = backoff === 'exponential' ? 'full' : 'none',
+	} = retry
+	let ms
+	if (typeof backoff === 'function') ms = backoff(params)
+	else if (backoff === 'fixed') ms = baseDelay
+	else ms = baseDelay * 2 ** (params.state.attempt - 1)
+	ms = Math.min(ms, maxDelay)
+	if (jitter === 'full') ms = Math.random() * ms
+	else if (jitter === 'equal') ms = ms / 2 + (Math.random() * ms) / 2
+	return Math.max(0, Math.round(ms))
+}
+
+/**
+ * Resolves after `ms`, rejects with the abort reason if `signal` aborts first.
+ *
+ * @param {number}      ms
+ * @param {AbortSignal} [signal]
+ */
+const sleep = (ms, signal) =>
+	new Promise((resolve, reject) => {
+		if (signal?.aborted) return reject(signal.reason)
+		const onAbort = () => {
+			clearTimeout(timer)
+			reject(signal?.reason)
+		}
+		const timer = setTimeout(() => {
+			signal?.removeEventListener('abort', onAbort)
+			resolve(undefined)
+		}, ms)
+		signal?.addEventListener('abort', onAbort, {once: true})
+	})
+
+/**
+ * Waits `state.nextDelay` before allowing the retry. If the user signal aborts
+ * the wait, the abort reason replaces `params.error` and the retry is denied.
+ *
+ * @param {RetryFnParams} params
+ * @returns {Promise<boolean>}
+ */
+const waitForRetry = async params => {
+	const {state} = params
+	if (!state.nextDelay) return true
+	try {
+		await sleep(state.nextDelay, state.options.signal)
+		return true
+	} catch (reason) {
+		dbg(state.fullId, 'retry delay aborted')
+		params.error = wrapError(reason, state)
+		return false
+	}
+}
+
+/**
+ * Reads the server-requested wait in ms from `Retry-After` (seconds or
+ * HTTP-date), `RateLimit-Reset` or `X-RateLimit-Reset` (seconds or epoch
+ * seconds) of a 429 or 503 response.
+ *
+ * @param {Response} [response]
+ * @returns {number | undefined}
+ */
+const getRetryAfter = response => {
+	if (response?.status !== 429 && response?.status !== 503) return
+	const {headers} = response
+	const retryAfter = headers.get('retry-after')
+	if (retryAfter) {
+		const seconds = Number(retryAfter)
+		if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000)
+		const date = Date.parse(retryAfter)
+		if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+	}
+	const reset = Number(
+		headers.get('ratelimit-reset') || headers.get('x-ratelimit-reset') || NaN
+	)
+	if (Number.isNaN(reset)) return
+	// Large values are unix timestamps, e.g. GitHub's X-RateLimit-Reset
+	return Math.max(0, reset > 1e9 ? reset * 1000 - Date.now() : reset * 1000)
+}
+
+/**
+ * Adds the outcome of the current attempt to `state.attempts`, once per
+ * attempt.
+ *
+ * @param {{state: FetchState; error?: any; response?: Response}} params
+ */
+const recordAttempt = ({state, error, response}) => {
+	const internal = state[STATE_INTERNAL]
+	if (internal.recordedAttempt === state.attempt) return
+	internal.recordedAttempt = state.attempt
+	state.attempts.push({
+		attempt: state.attempt,
+		resource: state.resource,
+		status: response?.status ?? internal.status,
+		error,
+		timedout: internal.timedout,
+		duration: state.startTs ? performance.now() - state.startTs : 0,
+		size: state.size,
+	})
+}
+
 /**
  * Mutates `params`
  *
@@ -121,14 +567,107 @@ const wrapBodyStream = (stream, state) => {
  * @returns {Promise<boolean>}
  */
 const shouldRetry = async params => {
+	recordAttempt(params)
+	const {state} = params
+	if (!(await isRetryAllowed(params))) return false
+	const {retry} = state.options
+	let delay =
+		retry && typeof retry === 'object' ? getBackoffDelay(retry, params) : 0
+	// @ts-ignore
+	const response = params.response || params.error?.response
+	const retryAfter = getRetryAfter(response)
+	if (retryAfter !== undefined) {
+		const max = state.options.maxRetryAfter ?? 60_000
+		if (retryAfter > max) {
+			dbg(state.fullId, `retry-after ${retryAfter}ms exceeds ${max}ms`)
+			params.error = new RetryAfterError(
+				retryAfter,
+				max,
+				response,
+				state,
+				params.error
+			)
+			return false
+		}
+		delay = Math.max(delay, retryAfter)
+	}
+	state.nextDelay = delay
+	try {
+		for (const hook of getHooks(state, 'beforeRetry'))
+			await hook({state, error: params.error, response, delay})
+	} catch (error) {
+		dbg(state.fullId, 'beforeRetry hook failed', error)
+		// eslint-disable-next-line require-atomic-updates
+		params.error = error
+		return false
+	}
+	const reason = params.error?.message ?? String(params.error)
+	log(
+		state,
+		'retry',
+		{attempt: state.attempt, delay, reason, status: response?.status},
+		`retrying in ${delay}ms: ${reason}`
+	)
+	return waitForRetry(params)
+}
+
+/**
+ * Default retry classification. Retries only idempotent methods (unless
+ * `methods` says otherwise or the request has an `Idempotency-Key`), and only
+ * for network errors, timeouts, 408/429/5xx HTTP errors and errors thrown by
+ * `validate` functions. Never retries when the user signal aborted.
+ *
+ * @param {RetryFnParams}        params
+ * @param {{methods?: string[]}} [options]
+ * @returns {boolean}
+ */
+const isRetryable = ({state, error}, {methods} = {}) => {
+	if (state.options.signal?.aborted) return false
+	const method = (
+		state.options.method ||
+		// @ts-ignore
+		state.resource?.method ||
+		'GET'
+	).toUpperCase()
+	const allowed = methods
+		? methods.some(m => m.toUpperCase() === method)
+		: IDEMPOTENT_METHODS.has(method) || !!state.idempotencyKey
+	if (!allowed) return false
+	if (error instanceof HttpError) {
+		const {status} = error
+		return status === 408 || status === 429 || status >= 500
+	}
+	if (error instanceof TimeoutError) return true
+	if (state[STATE_INTERNAL].validateFailed)
+		// @ts-ignore
+		return state.options.validate?.retryInvalid !== false
+	return (
+		// @ts-ignore
+		RETRYABLE_ERROR_CODES.has(error?.code) ||
+		// @ts-ignore
+		RETRYABLE_ERROR_CODES.has(error?.cause?.code)
+	)
+}
+
+/**
+ * @param {RetryFnParams} params
+ * @returns {Promise<boolean>}
+ */
+const isRetryAllowed = async params => {
 	const {state} = params
 	const attempt = state.attempt
 	const retry = state.options.retry
 	if (typeof retry === 'number') {
-		if (attempt < retry) {
+		if (attempt < retry && isRetryable(params)) {
 			dbg('retry', attempt, retry)
 			return true
 		}
+	} else if (retry && typeof retry === 'object') {
+		const {attempts = 3} = retry
+		if (attempt < attempts && isRetryable(params, retry)) {
+			dbg('retry', attempt, attempts)
+			return true
+		}
 	} else if (typeof retry === 'function') {
 		try {
 			const retryResult = await retry(params)
@@ -153,17 +692,107 @@ const shouldRetry = async params => {
 	return false
 }
 
-const defaultValidate = (response, state) => {
-	if (!response.ok)
-		throw new HttpError(response.status, response.statusText, response, state)
+/**
+ * Runs a `validate` function, flagging its errors as retryable. Resolves with
+ * what the function returned.
+ *
+ * @param {ValidateFn} validateFn
+ * @param {any}        data
+ * @param {FetchState} state
+ */
+const runValidate = async (validateFn, data, state) => {
+	try {
+		return await validateFn(data, state)
+	} catch (error) {
+		state[STATE_INTERNAL].validateFailed = true
+		throw error
+	}
+}
+
+/**
+ * Reads the start of an error response body for HttpError, when the `errorBody`
+ * option asks for it. Stops after `maxBytes` or `timeout` ms, or when a body
+ * timeout fires, and cancels the rest of the body then.
+ *
+ * @param {Response}   response
+ * @param {FetchState} state
+ * @returns {Promise<string | undefined>}
+ */
+const readErrorBody = async (response, state) => {
+	const {errorBody} = state[STATE_INTERNAL].options
+	if (!errorBody || !response.body) return
+	const {maxBytes = 4096, timeout = 1000} = errorBody === true ? {} : errorBody
+	const reader = response.body.getReader()
+	const chunks = []
+	let size = 0
+	let timer
+	const timedOut = new Promise(resolve => {
+		timer = setTimeout(resolve, timeout, {done: false, timedOut: true})
+	})
+	try {
+		for (;;) {
+			const result = await Promise.race([reader.read(), timedOut])
+			if (result.done || result.timedOut) {
+				if (!result.done) reader.cancel().catch(() => {})
+				break
+			}
+			chunks.push(result.value)
+			size += result.value.byteLength
+			if (size >= maxBytes) {
+				reader.cancel().catch(() => {})
+				break
+			}
+		}
+	} catch {
+		// A timeout or network error, keep what we got
+	} finally {
+		clearTimeout(timer)
+	}
+	return new TextDecoder().decode(Buffer.concat(chunks).subarray(0, maxBytes))
+}
+
+const defaultValidate = async (response, state) => {
+	if (response.ok) return
+	const body = await readErrorBody(response, state)
+	throw new HttpError(
+		response.status,
+		response.statusText,
+		response,
+		state,
+		body
+	)
 }
 
 const prepareOptions = state => {
 	const options = {...state.options}
 	let makeAbort, clearAbort, abortController, userSignal, userSignalHandler
+	let renewSignal
 
 	if (!options.method) options.method = 'GET'
 
+	if (state.idempotencyKey) {
+		const headers = new Headers(
+			// @ts-ignore
+			options.headers || state.resource?.headers
+		)
+		if (!headers.has('idempotency-key'))
+			headers.set('idempotency-key', state.idempotencyKey)
+		options.headers = headers
+	}
+
+	if (options.json !== undefined) {
+		const headers = new Headers(
+			// @ts-ignore
+			options.headers || state.resource?.headers
+		)
+		if (!headers.has('content-type'))
+			headers.set('content-type', 'application/json')
+		if (!headers.has('accept')) headers.set('accept', 'application/json')
+		options.headers = headers
+		options.body = JSON.stringify(options.json)
+		delete options.json
+	}
+
 	if (options.timeout) {
 		options.timeouts = {...options.timeouts, overall: options.timeout}
 		delete options.timeout
@@ -176,6 +805,16 @@ const prepareOptions = state => {
 	} else if (options.validate?.response === true) {
 		options.validate.response = defaultValidate
 	}
+	const jsonValidate = options.validate?.json
+	if (
+		jsonValidate &&
+		(typeof jsonValidate === 'object' || isStandardSchema(jsonValidate))
+	) {
+		options.validate = {
+			...options.validate,
+			json: makeSchemaValidator(options.validate.json),
+		}
+	}
 
 	if (options.timeouts || options.signal || options.validate?.response) {
 		// @ts-ignore
@@ -193,6 +832,13 @@ const prepareOptions = state => {
 			})
 		}
 		options.signal = abortController.signal
+		// Body resumption needs a fresh signal, timeouts follow the new one
+		renewSignal = () => {
+			abortController = new AbortController()
+			options.signal = abortController.signal
+			state[STATE_INTERNAL].abortController = abortController
+			return options.signal
+		}
 		if (options.timeouts) {
 			const myTimeouts = {}
 			makeAbort = reason => {
@@ -241,9 +887,12 @@ const prepareOptions = state => {
 		makeAbort,
 		clearAbort,
 		abortController,
+		renewSignal,
 		onBodyResolve,
 		onBodyError,
 	})
+
+	wrapUploadBody(options, state)
 }
 
 // Reasoning: https://github.com/nodejs/undici/discussions/2194
@@ -262,6 +911,21 @@ const dump = async body => {
 	}
 }
 
+/**
+ * Like `response.json()`, but fails with ParseError showing the body.
+ *
+ * @param {Response}   response
+ * @param {FetchState} state
+ */
+const parseJson = async (response, state) => {
+	const text = await response.text()
+	try {
+		return JSON.parse(text)
+	} catch (error) {
+		throw new ParseError(text, state, error)
+	}
+}
+
 const proxyResponse = (response, state) =>
 	new Proxy(response, {
 		get(target, prop, receiver) {
@@ -274,27 +938,31 @@ const proxyResponse = (response, state) =>
 				try {
 					dbg(state.fullId, prop, `called`)
 					const validateFn = state[STATE_INTERNAL].options.validate?.[prop]
-					if (validateFn) state[STATE_INTERNAL].validateStarted = true
-					const result = await prev.call(response, args)
-					await validateFn?.(result, state)
+					// Parsing can fail too, completion waits for it
+					if (validateFn || prop === 'json')
+						state[STATE_INTERNAL].validateStarted = true
+					let result =
+						prop === 'json'
+							? await parseJson(response, state)
+							: await prev.call(response, args)
+					if (validateFn) {
+						const validated = await runValidate(validateFn, result, state)
+						// Schemas give their output, with transforms and defaults
+						if (validateFn.schema) result = validated
+					}
 					dbg(state.fullId, prop, `success`)
 					state[STATE_INTERNAL].signalCompleted()
 					return result
 				} catch (error) {
 					dbg(state.fullId, prop, `failed`, error)
-					if (
-						await shouldRetry({
-							state,
-							error,
-							response,
-						}).catch(() => false)
-					) {
+					const params = {state, error: wrapError(error, state), response}
+					if (await shouldRetry(params).catch(() => false)) {
 						return fetch(state.resource, undefined, state).then(r =>
 							r[prop](...args)
 						)
 					}
-					state[STATE_INTERNAL].signalCompleted(error)
-					throw error
+					state[STATE_INTERNAL].signalCompleted(params.error)
+					throw params.error
 				}
 			}
 		},
@@ -306,16 +974,22 @@ const proxyResponse = (response, state) =>
  * @param {FetchState}   [state]
  * @returns {Promise<FetchResponse>}
  */
-const fetch = async (resource, options, state) => {
+const fetchWithRetries = async (resource, options, state) => {
 	state ||= new FetchState(resource, options)
 	do {
 		state.attempt++
 		if (state.attempt > 1) dbg(state.fullId, `retrying...`)
 		state.size = undefined
+		state.uploadSize = undefined
+		state.uploadDuration = undefined
 		state[STATE_INTERNAL].timedout = undefined
+		state[STATE_INTERNAL].timings = undefined
+		state[STATE_INTERNAL].status = undefined
 		state[STATE_INTERNAL].validateStarted = false
+		state[STATE_INTERNAL].validateFailed = false
 		let /** @type {FetchResponse | undefined} */ response
 		try {
+			for (const hook of getHooks(state, 'beforeRequest')) await hook(state)
 			prepareOptions(state)
 			const {
 				options: currOptions,
@@ -324,18 +998,69 @@ const fetch = async (resource, options, state) => {
 			} = state[STATE_INTERNAL]
 			await currOptions.limiter?.()
 
-			makeAbort?.('overall')
-			makeAbort?.('request')
-			dbg(
-				state.fullId,
-				state[STATE_INTERNAL].options.method,
-				state.resource,
-				state.options
-			)
-
+			// Timeouts start once the middleware let the request through
+			/** @type {Dispatch} */
+			const send = (sendResource, sendOptions) => {
+				makeAbort?.('overall')
+				makeAbort?.('request')
+				const redact = getRedactNames(state)
+				const url = redactUrl(sendResource, redact)
+				log(
+					state,
+					'start',
+					() => ({
+						method: sendOptions.method,
+						url,
+						attempt: state.attempt,
+						headers: redactHeaders(
+							// @ts-ignore
+							sendOptions.headers || sendResource.headers,
+							redact
+						),
+						body: previewBody(sendOptions.body),
+					}),
+					`${sendOptions.method} ${url}`
+				)
+				state.startTs = performance.now()
+				return recordTimings(record => {
+					state[STATE_INTERNAL].timings = record
+					return origFetch(sendResource, sendOptions)
+				}).catch(error => {
+					throw wrapError(error, state)
+				})
+			}
+			// eslint-disable-next-line require-atomic-updates
 			state.startTs = performance.now()
 			response = /** @type {FetchResponse} */ (
-				await origFetch(state.resource, currOptions)
+				await compose(currOptions.middleware || [], send)(
+					state.resource,
+					currOptions,
+					state
+				)
+			)
+			for (const hook of getHooks(state, 'afterResponse')) {
+				const replacement = await hook(response, state)
+				if (replacement) response = /** @type {FetchResponse} */ (replacement)
+			}
+			const length = Number(response.headers.get('content-length'))
+			if (currOptions.maxSize !== undefined && length > currOptions.maxSize) {
+				response.body?.cancel().catch(() => {})
+				throw new SizeLimitError(currOptions.maxSize, length, state)
+			}
+			// eslint-disable-next-line require-atomic-updates
+			state[STATE_INTERNAL].status = response.status
+			const {headers: responseHeaders, statusText} = response
+			log(
+				state,
+				'response',
+				() => ({
+					status: state[STATE_INTERNAL].status,
+					statusText,
+					headers: redactHeaders(responseHeaders, getRedactNames(state)),
+					attempt: state.attempt,
+					duration: performance.now() - state.startTs,
+				}),
+				`HTTP ${response.status} ${statusText}`
 			)
 			const {body, status} = response
 			// Prevent null body errors on Response creation
@@ -349,7 +1074,7 @@ const fetch = async (resource, options, state) => {
 				status !== 304
 			if (hasBody) {
 				response = /** @type {FetchResponse} */ (
-					new Response(wrapBodyStream(body, state), response)
+					new Response(wrapBodyStream(body, state, response), response)
 				)
 				// We handle this case for now, relevent issue: https://github.com/nodejs/undici/issues/1339
 			} else if (body) {
@@ -360,10 +1085,12 @@ const fetch = async (resource, options, state) => {
 			response.completed = state.completed
 
 			clearAbort?.('request')
+			clearAbort?.('upload')
+			clearAbort?.('uploadStall')
 
 			if (currOptions.validate?.response) {
 				state[STATE_INTERNAL].validateStarted = true
-				await currOptions.validate.response(response, state)
+				await runValidate(currOptions.validate.response, response, state)
 			}
 
 			if (!hasBody) {
@@ -377,40 +1104,195 @@ const fetch = async (resource, options, state) => {
 		} catch (error) {
 			// Here we catch request errors only
 			state[STATE_INTERNAL].clearAbort?.('request')
+			state[STATE_INTERNAL].clearAbort?.('upload')
+			state[STATE_INTERNAL].clearAbort?.('uploadStall')
 			dbg(`${state.fullId} failed`, error)
-			if (await shouldRetry({state, error, response})) {
+			const params = {state, error: wrapError(error, state), response}
+			if (await shouldRetry(params)) {
 				continue
 			}
-			state[STATE_INTERNAL].signalCompleted(error)
-			throw error
+			state[STATE_INTERNAL].signalCompleted(params.error)
+			throw params.error
 		}
 		// eslint-disable-next-line no-constant-condition
 	} while (true)
 }
 
-const makeFetch = (maxParallel, maxRps) => {
-	if (!(maxParallel || maxRps)) return fetch
+/**
+ * Fetches with the extra options. The returned promise also has the body
+ * methods, `fetch(url).json()` resolves with the parsed body.
+ *
+ * @param {Resource}     resource
+ * @param {FetchOptions} [options]
+ * @param {FetchState}   [state]
+ * @returns {FetchPromise}
+ */
+const fetch = (resource, options, state) => {
+	const promise = fetchWithRetries(resource, options, state)
+	for (const type of RESPONSE_TYPES) {
+		promise[type] = (...args) => promise.then(res => res[type](...args))
+	}
+	return /** @type {FetchPromise} */ (promise)
+}
+
+/**
+ * Streams the body of `resource` into a temp file next to `path` while hashing
+ * it, verifies `expectedSize` and `expectedHash`, then syncs and renames the
+ * file into place. Failed downloads and verification are retried according to
+ * `retry`.
+ *
+ * @param {Resource}        resource
+ * @param {string}          path
+ * @param {DownloadOptions} [options]
+ * @returns {Promise<{digest: string; stats: FetchStats}>}
+ */
+const downloadFile = async (resource, path, options = {}) => {
+	const {
+		hash = 'sha256',
+		expectedHash,
+		expectedSize,
+		validate = true,
+		...fetchOptions
+	} = options
+	const state = new FetchState(resource, {...fetchOptions, validate})
+	const tmpPath = `${path}.${process.pid}-${state.id}.tmp`
+	do {
+		const response = await fetch(state.resource, undefined, state)
+		// We signal completion after verification
+		// eslint-disable-next-line require-atomic-updates
+		state[STATE_INTERNAL].validateStarted = true
+		let file
+		try {
+			const hasher = createHash(hash)
+			let size = 0
+			file = await fs.open(tmpPath, 'w')
+			if (response.body) {
+				for await (const chunk of response.body) {
+					hasher.update(chunk)
+					size += chunk.byteLength
+					await file.write(chunk)
+				}
+			}
+			const digest = hasher.digest('hex')
+			await runValidate(
+				() => {
+					if (expectedSize != null && size !== expectedSize)
+						throw new IntegrityError('size', expectedSize, size, state)
+					if (expectedHash && digest !== expectedHash.toLowerCase())
+						throw new IntegrityError('hash', expectedHash, digest, state)
+				},
+				response,
+				state
+			)
+			await file.sync()
+			await file.close()
+			await fs.rename(tmpPath, path)
+			dbg(state.fullId, `downloaded ${size} bytes to ${path}`)
+			state[STATE_INTERNAL].signalCompleted()
+			return {digest, stats: await state.completed}
+		} catch (error) {
+			dbg(state.fullId, `download failed`, error)
+			// Writing may fail before or while reading, stop the download
+			await response.body?.cancel(error).catch(() => {})
+			await file?.close().catch(() => {})
+			await fs.rm(tmpPath, {force: true})
+			const params = {state, error: wrapError(error, state), response}
+			if (await shouldRetry(params).catch(() => false)) continue
+			state[STATE_INTERNAL].signalCompleted(params.error)
+			throw params.error
+		}
+		// eslint-disable-next-line no-constant-condition
+	} while (true)
+}
 
-	const {Sema, RateLimit} = require('async-sema')
-	const sema = maxParallel && new Sema(maxParallel)
-	const limiter = maxRps && RateLimit(maxRps, {uniformDistribution: true})
+/**
+ * Makes a `fetch` with default options and a middleware pipeline around each
+ * attempt. The `dedupe`, `cache`, `circuitBreaker`, `perOrigin`, `maxParallel`
+ * and `maxRps` options are built-in middleware, they run in this order after
+ * the given `middleware`. The positional `makeFetch(maxParallel, maxRps)` form
+ * is still supported.
+ *
+ * @param {number | MakeFetchOptions} [config]
+ * @param {number} [maxRps]
+ */
+const makeFetch = (config, maxRps) => {
+	const {
+		middleware: userMiddleware = [],
+		maxParallel,
+		maxQueued,
+		maxRps: rps,
+		perOrigin: perOriginOptions,
+		circuitBreaker: circuitBreakerOptions,
+		cache: cacheOptions,
+		dedupe: dedupeOptions,
+		...defaults
+	} = typeof config === 'object' ? config : {maxParallel: config, maxRps}
+	const cacheMiddleware =
+		cacheOptions &&
+		cache(fetch, cacheOptions === true ? undefined : cacheOptions)
+	const breaker =
+		circuitBreakerOptions &&
+		circuitBreaker(
+			circuitBreakerOptions === true ? undefined : circuitBreakerOptions
+		)
+	const middleware = [
+		...userMiddleware,
+		...(dedupeOptions
+			? [dedupe(dedupeOptions === true ? undefined : dedupeOptions)]
+			: []),
+		...(cacheMiddleware ? [cacheMiddleware] : []),
+		...(breaker ? [breaker] : []),
+		...(perOriginOptions ? [perOrigin(perOriginOptions)] : []),
+		...(maxParallel ? [concurrency(maxParallel, {maxQueued})] : []),
+		...(rps ? [rateLimit(rps)] : []),
+	]
+	if (!middleware.length && !Object.keys(defaults).length) return fetch
 
-	return async (resource, options) => {
-		if (sema) await sema.acquire()
-		const res = await fetch(resource, {
+	/**
+	 * @param {Resource}     resource
+	 * @param {FetchOptions} [options]
+	 */
+	const madeFetch = (resource, options) =>
+		fetch(resource, {
+			...defaults,
 			...options,
-			limiter,
+			middleware: [...middleware, ...(options?.middleware || [])],
 		})
-		if (sema) res.completed.finally(() => sema.release())
-		return res
-	}
+	return Object.assign(madeFetch, {
+		circuitBreaker: breaker,
+		cache: cacheMiddleware,
+	})
 }
 
 module.exports = fetch
 Object.assign(module.exports, {
 	makeFetch,
+	/** @param {ClientOptions} [config] */
+	createClient: config => createClient(makeFetch, config),
+	concurrency,
+	rateLimit,
+	perOrigin,
+	circuitBreaker,
+	dedupe,
+	/** @param {CacheOptions} [options] */
+	cache: options => cache(fetch, options),
+	MemoryCacheStore,
+	FileCacheStore,
+	downloadFile,
+	isRetryable,
 	HttpError,
 	TimeoutError,
+	RetryAfterError,
+	IntegrityError,
+	QueueTimeoutError,
+	QueueFullError,
+	CircuitOpenError,
+	ParseError,
+	ValidationError,
+	FetchExtraError,
+	NetworkError,
+	AbortError,
+	SizeLimitError,
 	Headers,
 	Request,
 	Response,
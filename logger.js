@@ -0,0 +1,64 @@
+// Structured log events for the `logger` option, `debug('fetch')` without one
+const debug = require('debug')
+const dbg = debug('fetch')
+
+/** @type {{[event in LogEvent]: LogLevel}} */
+const LOG_LEVELS = {
+	start: 'debug',
+	response: 'debug',
+	retry: 'warn',
+	queue: 'debug',
+	progress: 'debug',
+	done: 'info',
+	failed: 'error',
+}
+
+const BODY_PREVIEW_LENGTH = 1000
+
+/**
+ * The start of string bodies, other bodies aren't logged.
+ *
+ * @param {any} body
+ * @returns {string | undefined}
+ */
+const previewBody = body => {
+	if (typeof body !== 'string') return
+	return body.length > BODY_PREVIEW_LENGTH
+		? `${body.slice(0, BODY_PREVIEW_LENGTH)}…`
+		: body
+}
+
+/**
+ * Emits a log event. The `logger` option gets `logger[level]({event, id,
+ * fullId, ...fields}, message)`, which suits pino and console alike. The level
+ * comes from `logLevels[event]`, `false` silences the event. Without a logger
+ * the event goes to `debug('fetch')`. `fields` can be a function, so they're
+ * only built when a logger wants them.
+ *
+ * @param {FetchState} state
+ * @param {LogEvent} event
+ * @param {{[key: string]: any} | (() => {[key: string]: any})} fields
+ * @param {string} message
+ */
+const log = (state, event, fields, message) => {
+	const {logger, logLevels} = state.options
+	const level = logLevels?.[event] ?? LOG_LEVELS[event]
+	if (!level) return
+	if (!logger) return dbg(state.fullId, message)
+	if (typeof logger[level] !== 'function') return
+	try {
+		logger[level](
+			{
+				event,
+				id: state.id,
+				fullId: state.fullId,
+				...(typeof fields === 'function' ? fields() : fields),
+			},
+			message
+		)
+	} catch (error) {
+		dbg(state.fullId, 'logger failed', error)
+	}
+}
+
+module.exports = {log, previewBody}
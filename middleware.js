@@ -0,0 +1,532 @@
+// Built-in middleware for `makeFetch`, see `Middleware` in types.d.ts
+const {performance} = require('perf_hooks')
+const {EventEmitter} = require('events')
+const {TransformStream} = require('stream/web')
+const {STATE_INTERNAL} = require('./constants')
+const {log} = require('./logger')
+const {Headers, Response} = require('./fetch-api')
+const {
+	QueueTimeoutError,
+	QueueFullError,
+	CircuitOpenError,
+	copyError,
+} = require('./errors')
+
+/**
+ * Limits the number of requests in flight. A slot is held from the first
+ * attempt until `completed` settles, so retries don't queue again. Waiting
+ * requests are served by `priority` (higher first), can time out with
+ * `timeouts.queue` and are refused beyond `maxQueued`.
+ *
+ * @param {number} maxParallel
+ * @param {{maxQueued?: number}} [options]
+ * @returns {Middleware}
+ */
+const concurrency = (maxParallel, {maxQueued = Infinity} = {}) => {
+	let active = 0
+	/** @type {{priority: number; start: () => void}[]} */
+	const queue = []
+	const holding = new WeakSet()
+
+	const release = () => {
+		const waiter = queue.shift()
+		// The slot goes straight to the next waiter
+		if (waiter) waiter.start()
+		else active--
+	}
+
+	/**
+	 * @param {FetchOptions} options
+	 * @param {FetchState}   state
+	 * @returns {Promise<void>}
+	 */
+	const acquire = (options, state) =>
+		new Promise((resolve, reject) => {
+			if (active < maxParallel) {
+				active++
+				return resolve()
+			}
+			if (queue.length >= maxQueued)
+				return reject(new QueueFullError(maxQueued, state))
+			const {signal, priority = 0} = options
+			const ms = options.timeouts?.queue
+			let timer
+			const cleanup = () => {
+				clearTimeout(timer)
+				signal?.removeEventListener('abort', onAbort)
+			}
+			const waiter = {
+				priority,
+				start: () => {
+					cleanup()
+					resolve()
+				},
+			}
+			const leave = error => {
+				cleanup()
+				queue.splice(queue.indexOf(waiter), 1)
+				reject(error)
+			}
+			const onAbort = () => leave(signal?.reason)
+			if (signal?.aborted) return reject(signal.reason)
+			if (ms)
+				timer = setTimeout(() => leave(new QueueTimeoutError(ms, state)), ms)
+			signal?.addEventListener('abort', onAbort, {once: true})
+			// FIFO within the same priority
+			const i = queue.findIndex(w => w.priority < priority)
+			queue.splice(i < 0 ? queue.length : i, 0, waiter)
+		})
+
+	return next => async (resource, options, state) => {
+		if (!holding.has(state)) {
+			await measureQueue(state, acquire(options, state))
+			holding.add(state)
+			state.completed.finally(release).catch(() => {})
+		}
+		return next(resource, options, state)
+	}
+}
+
+/**
+ * Limits the rate of attempts, spreading them uniformly over each second.
+ *
+ * @param {number} maxRps
+ * @returns {Middleware}
+ */
+const rateLimit = maxRps => {
+	const {RateLimit} = require('async-sema')
+	const limiter = RateLimit(maxRps, {uniformDistribution: true})
+
+	return next => async (resource, options, state) => {
+		await measureQueue(state, limiter())
+		return next(resource, options, state)
+	}
+}
+
+/**
+ * Adds the time spent waiting for `promise` to `state.queueDuration` and logs
+ * noticeable waits.
+ *
+ * @param {FetchState}    state
+ * @param {Promise<void>} promise
+ */
+const measureQueue = async (state, promise) => {
+	const start = performance.now()
+	try {
+		await promise
+	} finally {
+		const waited = performance.now() - start
+		state.queueDuration += waited
+		if (waited >= 1)
+			log(
+				state,
+				'queue',
+				{waited, queueDuration: state.queueDuration},
+				`waited ${Math.round(waited)}ms in queue`
+			)
+	}
+}
+
+const getOrigin = resource =>
+	new URL(
+		typeof resource === 'string' || resource instanceof URL
+			? resource
+			: resource.url
+	).origin
+
+const escapeRegExp = str => str.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Turns an override key into a matcher for origins. Strings with `://` match
+ * the whole origin, others the host; `*` matches any characters.
+ *
+ * @param {string | RegExp} pattern
+ * @returns {(origin: string) => boolean}
+ */
+const makeMatcher = pattern => {
+	if (pattern instanceof RegExp) return origin => pattern.test(origin)
+	const re = new RegExp(
+		`^${pattern.split('*').map(escapeRegExp).join('.*')}$`,
+		'i'
+	)
+	return pattern.includes('://')
+		? origin => re.test(origin)
+		: origin => re.test(new URL(origin).host)
+}
+
+/**
+ * Applies `maxParallel` and `maxRps` to each origin separately. `overrides`
+ * change the limits for matching origins, the first match wins. Origins without
+ * requests in flight are forgotten after `idleTimeout`.
+ *
+ * @param {PerOriginOptions} options
+ * @returns {Middleware & {origins: Map<string, any>}}
+ */
+const perOrigin = ({overrides = {}, idleTimeout = 60_000, ...limits}) => {
+	const matchers = (
+		overrides instanceof Map || Array.isArray(overrides)
+			? [...overrides]
+			: Object.entries(overrides)
+	).map(([pattern, override]) => [makeMatcher(pattern), override])
+	/**
+	 * @type {Map<
+	 * 	string,
+	 * 	{dispatch: Dispatch; active: number; lastUsed: number}
+	 * >}
+	 */
+	const origins = new Map()
+	let lastSweep = Date.now()
+
+	const sweep = now => {
+		lastSweep = now
+		for (const [origin, entry] of origins) {
+			if (!entry.active && now - entry.lastUsed > idleTimeout)
+				origins.delete(origin)
+		}
+	}
+
+	const middleware = next => async (resource, options, state) => {
+		const now = Date.now()
+		if (now - lastSweep > idleTimeout) sweep(now)
+		const origin = getOrigin(resource)
+		let entry = origins.get(origin)
+		if (!entry) {
+			const {maxParallel, maxQueued, maxRps} = {
+				...limits,
+				...matchers.find(([matches]) => matches(origin))?.[1],
+			}
+			entry = {
+				dispatch: compose(
+					[
+						...(maxParallel ? [concurrency(maxParallel, {maxQueued})] : []),
+						...(maxRps ? [rateLimit(maxRps)] : []),
+					],
+					next
+				),
+				active: 0,
+				lastUsed: now,
+			}
+			origins.set(origin, entry)
+		}
+		const current = entry
+		current.active++
+		state.completed
+			.finally(() => {
+				current.active--
+				current.lastUsed = Date.now()
+			})
+			.catch(() => {})
+		return current.dispatch(resource, options, state)
+	}
+	return Object.assign(middleware, {origins})
+}
+
+/**
+ * Fails fast with CircuitOpenError for origins that keep failing. A circuit
+ * opens after `failureThreshold` consecutive failures, or when `failureRate` of
+ * the last `windowSize` attempts failed (with at least `minRequests`). After
+ * `openDuration` up to `halfOpenRequests` probes are let through, a successful
+ * probe closes the circuit, a failed one opens it again, an aborted one frees
+ * its slot. Failures are rejected attempts (except user aborts) and 5xx
+ * responses. Origins without requests in flight are forgotten after
+ * `idleTimeout`, unless their circuit is still open.
+ *
+ * @param {CircuitBreakerOptions} [options]
+ * @returns {Middleware & CircuitBreaker}
+ */
+const circuitBreaker = ({
+	failureThreshold = 5,
+	failureRate,
+	minRequests = 10,
+	windowSize = 20,
+	openDuration = 30_000,
+	halfOpenRequests = 1,
+	idleTimeout = 60_000,
+} = {}) => {
+	const events = new EventEmitter()
+	/**
+	 * @type {Map<
+	 * 	string,
+	 * 	CircuitInfo & {
+	 * 		window: boolean[]
+	 * 		probes: number
+	 * 		active: number
+	 * 		lastUsed: number
+	 * 	}
+	 * >}
+	 */
+	const origins = new Map()
+	let lastSweep = Date.now()
+
+	const sweep = now => {
+		lastSweep = now
+		for (const [origin, entry] of origins) {
+			if (
+				!entry.active &&
+				now - entry.lastUsed > idleTimeout &&
+				(entry.state !== 'open' || now - (entry.openedAt || 0) >= openDuration)
+			)
+				origins.delete(origin)
+		}
+	}
+
+	const setState = (origin, entry, state) => {
+		const previous = entry.state
+		entry.state = state
+		entry.probes = 0
+		if (state === 'open') entry.openedAt = Date.now()
+		if (state === 'closed') {
+			entry.failures = 0
+			entry.window = []
+		}
+		events.emit('stateChange', {origin, state, previous})
+	}
+
+	const getEntry = origin => {
+		let entry = origins.get(origin)
+		if (!entry) {
+			entry = {
+				state: 'closed',
+				failures: 0,
+				window: [],
+				probes: 0,
+				active: 0,
+				lastUsed: Date.now(),
+			}
+			origins.set(origin, entry)
+		}
+		if (
+			entry.state === 'open' &&
+			Date.now() - (entry.openedAt || 0) >= openDuration
+		)
+			setState(origin, entry, 'half-open')
+		return entry
+	}
+
+	const record = (origin, entry, ok, probeOf) => {
+		if (entry.state === 'half-open') {
+			// Only the probes of this half-open period decide
+			if (probeOf !== undefined && probeOf === entry.openedAt)
+				setState(origin, entry, ok ? 'closed' : 'open')
+			return
+		}
+		if (entry.state !== 'closed') return
+		entry.failures = ok ? 0 : entry.failures + 1
+		entry.window.push(ok)
+		if (entry.window.length > windowSize) entry.window.shift()
+		const failed = entry.window.filter(r => !r).length
+		if (
+			entry.failures >= failureThreshold ||
+			(failureRate &&
+				entry.window.length >= minRequests &&
+				failed / entry.window.length >= failureRate)
+		)
+			setState(origin, entry, 'open')
+	}
+
+	const middleware = next => async (resource, options, state) => {
+		const now = Date.now()
+		if (now - lastSweep > idleTimeout) sweep(now)
+		const origin = getOrigin(resource)
+		const entry = getEntry(origin)
+		if (
+			entry.state === 'open' ||
+			(entry.state === 'half-open' && entry.probes >= halfOpenRequests)
+		)
+			throw new CircuitOpenError(
+				origin,
+				(entry.openedAt || 0) + openDuration,
+				state
+			)
+		// The half-open period this probe belongs to
+		const probeOf = entry.state === 'half-open' ? entry.openedAt : undefined
+		if (probeOf !== undefined) entry.probes++
+		entry.active++
+		let response
+		try {
+			response = await next(resource, options, state)
+		} catch (error) {
+			if (!options.signal?.aborted || state[STATE_INTERNAL].timedout)
+				record(origin, entry, false, probeOf)
+			else if (
+				probeOf !== undefined &&
+				entry.state === 'half-open' &&
+				entry.openedAt === probeOf
+			)
+				// An aborted probe tells nothing, let another one through
+				entry.probes--
+			throw error
+		} finally {
+			entry.active--
+			entry.lastUsed = Date.now()
+		}
+		record(origin, entry, response.status < 500, probeOf)
+		return response
+	}
+
+	return Object.assign(middleware, {
+		origins,
+		/** @param {string} url */
+		getState: url => {
+			const origin = getOrigin(url)
+			return origins.has(origin) ? getEntry(origin).state : 'closed'
+		},
+		on: events.on.bind(events),
+		off: events.off.bind(events),
+	})
+}
+
+// Request headers that make otherwise identical requests different
+const DEDUPE_HEADERS = [
+	'accept',
+	'accept-encoding',
+	'accept-language',
+	'authorization',
+	'cookie',
+]
+
+/**
+ * Tees `body` into `count` streams.
+ *
+ * @param {ReadableStream | null} body
+ * @param {number}                count
+ */
+const splitBody = (body, count) => {
+	const bodies = []
+	let rest = body
+	for (let i = 1; i < count; i++) {
+		const [branch, next] = rest ? rest.tee() : [null, null]
+		bodies.push(branch)
+		rest = next
+	}
+	bodies.push(rest)
+	return bodies
+}
+
+/**
+ * Shares one request between concurrent GET and HEAD requests with the same
+ * method, URL and `headers`. Each caller gets its own body stream and stats,
+ * the shared request is only aborted when every caller aborted.
+ *
+ * @param {DedupeOptions} [options]
+ * @returns {Middleware & {inFlight: Map<string, any>}}
+ */
+const dedupe = ({headers: keyHeaders = DEDUPE_HEADERS} = {}) => {
+	/**
+	 * @type {Map<
+	 * 	string,
+	 * 	{
+	 * 		controller: AbortController
+	 * 		participants: {aborted: boolean}[]
+	 * 		shared: Promise<{response: Response; bodies: any[]}>
+	 * 	}
+	 * >}
+	 */
+	const inFlight = new Map()
+
+	const middleware = next => async (resource, options, state) => {
+		const method = (options.method || 'GET').toUpperCase()
+		const headers = new Headers(options.headers || resource.headers)
+		if ((method !== 'GET' && method !== 'HEAD') || headers.has('range'))
+			return next(resource, options, state)
+		const key = JSON.stringify([
+			method,
+			typeof resource === 'string' || resource instanceof URL
+				? String(resource)
+				: resource.url,
+			...keyHeaders.map(name => headers.get(name)),
+		])
+
+		const {signal} = options
+		if (signal?.aborted) throw signal.reason
+
+		let flight = inFlight.get(key)
+		if (!flight) {
+			const controller = new AbortController()
+			/** @type {{aborted: boolean}[]} */
+			const participants = []
+			const shared = (async () => {
+				try {
+					const response = await next(
+						resource,
+						{...options, signal: controller.signal},
+						state
+					)
+					return {
+						response,
+						bodies: splitBody(response.body, participants.length),
+					}
+				} finally {
+					if (inFlight.get(key) === flight) inFlight.delete(key)
+				}
+			})()
+			flight = {controller, participants, shared}
+			inFlight.set(key, flight)
+		} else {
+			// We won't reach `send`, which starts the timeouts of the request
+			const {makeAbort} = state[STATE_INTERNAL]
+			makeAbort?.('overall')
+			makeAbort?.('request')
+		}
+
+		const {controller, participants, shared} = flight
+		const participant = {aborted: false}
+		const i = participants.push(participant) - 1
+		return new Promise((resolve, reject) => {
+			const onAbort = () => {
+				participant.aborted = true
+				reject(signal?.reason)
+				if (participants.every(p => p.aborted)) {
+					// Later requests shouldn't join an aborted one
+					if (inFlight.get(key) === flight) inFlight.delete(key)
+					controller.abort(signal?.reason)
+				}
+			}
+			signal?.addEventListener('abort', onAbort, {once: true})
+			shared.then(
+				({response, bodies}) => {
+					signal?.removeEventListener('abort', onAbort)
+					const body = bodies[i]
+					if (participant.aborted) {
+						body?.cancel().catch(() => {})
+						return
+					}
+					// Our signal still aborts the body, like it would on a request
+					resolve(
+						new Response(
+							signal && body
+								? body.pipeThrough(new TransformStream(), {signal})
+								: body,
+							response
+						)
+					)
+				},
+				error => {
+					signal?.removeEventListener('abort', onAbort)
+					// Each caller completes with its own error
+					reject(copyError(error, state))
+				}
+			)
+		})
+	}
+	return Object.assign(middleware, {inFlight})
+}
+
+/**
+ * Composes middleware around `dispatch`, the first one is the outermost.
+ *
+ * @param {Middleware[]} middleware
+ * @param {Dispatch}     dispatch
+ * @returns {Dispatch}
+ */
+const compose = (middleware, dispatch) =>
+	middleware.reduceRight((next, mw) => mw(next), dispatch)
+
+module.exports = {
+	concurrency,
+	rateLimit,
+	perOrigin,
+	circuitBreaker,
+	dedupe,
+	compose,
+}
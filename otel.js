@@ -0,0 +1,198 @@
+// OpenTelemetry instrumentation, opt-in with `makeFetch({middleware: [otel()]})`
+const {performance} = require('perf_hooks')
+const {
+	trace,
+	metrics,
+	context,
+	propagation,
+	SpanKind,
+	SpanStatusCode,
+} = require('@opentelemetry/api')
+const {Headers} = require('./fetch-api')
+const {name, version} = require('./package.json')
+
+/** The resource URL without credentials */
+const getUrl = resource => {
+	const url = new URL(
+		typeof resource === 'string' || resource instanceof URL
+			? resource
+			: resource.url
+	)
+	url.username = ''
+	url.password = ''
+	return url
+}
+
+/**
+ * Attributes of a finished request per the HTTP semantic conventions.
+ *
+ * @param {number | undefined} status
+ * @param {any}                error
+ */
+const outcome = (status, error) => {
+	const attributes = {}
+	if (status !== undefined) attributes['http.response.status_code'] = status
+	const errorType =
+		error?.name || (status !== undefined && status >= 400 ? String(status) : '')
+	if (errorType) attributes['error.type'] = errorType
+	return attributes
+}
+
+/**
+ * @param {import('@opentelemetry/api').Span} span
+ * @param {{[name: string]: any}} attributes
+ * @param {any} error
+ */
+const endSpan = (span, attributes, error) => {
+	span.setAttributes(attributes)
+	if (error) span.recordException(error)
+	if (attributes['error.type'])
+		span.setStatus({code: SpanStatusCode.ERROR, message: error?.message})
+	span.end()
+}
+
+/**
+ * Traces every fetch as a client span with a child span per attempt, following
+ * the HTTP semantic conventions, and injects the attempt's context (e.g.
+ * `traceparent`) into the request headers. Records the
+ * `http.client.request.duration` and `http.client.response.body.size`
+ * histograms. Put it first so the spans include the time spent in limits.
+ *
+ * @param {OtelOptions} [options]
+ * @returns {Middleware}
+ */
+const otel = ({tracerProvider, meterProvider} = {}) => {
+	const tracer = (tracerProvider || trace).getTracer(name, version)
+	const meter = (meterProvider || metrics).getMeter(name, version)
+	const requestDuration = meter.createHistogram(
+		'http.client.request.duration',
+		{
+			description: 'Duration of HTTP client requests',
+			unit: 's',
+		}
+	)
+	const bodySize = meter.createHistogram('http.client.response.body.size', {
+		description: 'Size of HTTP client response bodies',
+		unit: 'By',
+	})
+	/**
+	 * @type {WeakMap<
+	 * 	FetchState,
+	 * 	{
+	 * 		span: import('@opentelemetry/api').Span
+	 * 		attributes: {[name: string]: any}
+	 * 		attempt?: {
+	 * 			span: import('@opentelemetry/api').Span
+	 * 			number: number
+	 * 			start: number
+	 * 			status?: number
+	 * 			error?: any
+	 * 		}
+	 * 	}
+	 * >}
+	 */
+	const operations = new WeakMap()
+
+	/** Ends the current attempt span, using `state.attempts` when it has it */
+	const endAttempt = (operation, state) => {
+		const {attempt} = operation
+		if (!attempt) return
+		operation.attempt = undefined
+		const record = state.attempts.find(r => r.attempt === attempt.number)
+		const attributes = outcome(
+			record?.status ?? attempt.status,
+			record?.error ?? attempt.error
+		)
+		endSpan(attempt.span, attributes, record?.error ?? attempt.error)
+		requestDuration.record((performance.now() - attempt.start) / 1000, {
+			...operation.attributes,
+			...attributes,
+		})
+	}
+
+	const finish = (operation, state, stats, error) => {
+		endAttempt(operation, state)
+		const last = state.attempts[state.attempts.length - 1]
+		const attributes = outcome(last?.status, error)
+		if (state.attempt > 1)
+			attributes['http.request.resend_count'] = state.attempt - 1
+		if (stats?.size != null) {
+			attributes['http.response.body.size'] = stats.size
+			bodySize.record(stats.size, {
+				...operation.attributes,
+				...outcome(last?.status, error),
+			})
+		}
+		endSpan(operation.span, attributes, error)
+	}
+
+	const start = (resource, options, state) => {
+		const url = getUrl(resource)
+		const attributes = {
+			'http.request.method': (options.method || 'GET').toUpperCase(),
+			'server.address': url.hostname,
+			'server.port': Number(url.port) || (url.protocol === 'https:' ? 443 : 80),
+		}
+		const span = tracer.startSpan(attributes['http.request.method'], {
+			kind: SpanKind.CLIENT,
+			attributes: {
+				...attributes,
+				'url.full': url.href,
+				'fetch_extra.id': String(state.id),
+			},
+		})
+		const operation = {span, attributes}
+		state.completed.then(
+			stats => finish(operation, state, stats),
+			error => finish(operation, state, error.stats, error)
+		)
+		return operation
+	}
+
+	return next => async (resource, options, state) => {
+		let operation = operations.get(state)
+		if (!operation) {
+			operation = start(resource, options, state)
+			operations.set(state, operation)
+		}
+		// The previous attempt failed after its response arrived
+		endAttempt(operation, state)
+
+		const parent = trace.setSpan(context.active(), operation.span)
+		const span = tracer.startSpan(
+			operation.attributes['http.request.method'],
+			{
+				kind: SpanKind.CLIENT,
+				attributes: {
+					...operation.attributes,
+					'url.full': getUrl(resource).href,
+					'fetch_extra.full_id': state.fullId,
+					...(state.attempt > 1 && {
+						'http.request.resend_count': state.attempt - 1,
+					}),
+				},
+			},
+			parent
+		)
+		const attempt = {span, number: state.attempt, start: performance.now()}
+		operation.attempt = attempt
+		const ctx = trace.setSpan(context.active(), span)
+		const headers = new Headers(options.headers || resource.headers)
+		propagation.inject(ctx, headers, {
+			set: (carrier, key, value) => carrier.set(key, value),
+		})
+		try {
+			const response = await context.with(ctx, () =>
+				next(resource, {...options, headers}, state)
+			)
+			attempt.status = response.status
+			return response
+		} catch (error) {
+			attempt.error = error
+			if (operation.attempt === attempt) endAttempt(operation, state)
+			throw error
+		}
+	}
+}
+
+module.exports = {otel}
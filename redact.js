@@ -0,0 +1,78 @@
+// Hiding secrets from logs and serialized errors
+const {DEFAULT_REDACT} = require('./constants')
+const {Headers} = require('./fetch-api')
+
+const REDACTED = '[REDACTED]'
+
+/**
+ * The lowercase header and query parameter names to redact, from the `redact`
+ * option.
+ *
+ * @param {{options?: FetchOptions}} [state]
+ * @returns {Set<string>}
+ */
+const getRedactNames = state =>
+	new Set(
+		(state?.options?.redact ?? DEFAULT_REDACT).map(name => name.toLowerCase())
+	)
+
+/**
+ * Returns the headers as an object, with the values of the `names` headers
+ * replaced.
+ *
+ * @param {HeadersInit | undefined} headers
+ * @param {Set<string>}             names
+ * @returns {{[name: string]: string}}
+ */
+const redactHeaders = (headers, names) => {
+	const result = {}
+	for (const [name, value] of new Headers(headers))
+		result[name] = names.has(name) ? REDACTED : value
+	return result
+}
+
+/**
+ * Returns the URL of `resource` without credentials and with the values of the
+ * `names` query parameters replaced. URLs without secrets are returned as is.
+ *
+ * @param {Resource}    resource
+ * @param {Set<string>} names
+ * @returns {string}
+ */
+const redactUrl = (resource, names) => {
+	const href =
+		typeof resource === 'object' && 'url' in resource
+			? resource.url
+			: String(resource)
+	let url
+	try {
+		url = new URL(href)
+	} catch {
+		return href
+	}
+	let redacted = false
+	if (url.username || url.password) {
+		url.username = ''
+		url.password = ''
+		redacted = true
+	}
+	if (url.search) {
+		const params = url.search.slice(1).split('&')
+		for (const [i, param] of params.entries()) {
+			const [name] = param.split('=', 1)
+			let decoded
+			try {
+				decoded = decodeURIComponent(name.replace(/\+/g, ' '))
+			} catch {
+				decoded = name
+			}
+			if (!names.has(decoded.toLowerCase())) continue
+			params[i] = `${name}=${REDACTED}`
+			redacted = true
+		}
+		url.search = params.join('&')
+	}
+	return redacted ? url.href : href
+}
+
+module.exports = {getRedactNames, redactHeaders, redactUrl}
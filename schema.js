@@ -0,0 +1,161 @@
+// Schema support for `validate.json`
+const {isDeepStrictEqual} = require('util')
+const {ValidationError} = require('./errors')
+
+const typeOf = value =>
+	value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value
+
+const matchesType = (type, value) =>
+	type === 'integer'
+		? Number.isInteger(value)
+		: type === 'number'
+		? typeof value === 'number'
+		: typeOf(value) === type
+
+const hasOwn = (object, key) =>
+	Object.prototype.hasOwnProperty.call(object, key)
+
+/**
+ * Checks `value` against a JSON Schema. Supports the type, const, enum, string,
+ * number, array and object keywords and allOf/anyOf/oneOf/not, other keywords
+ * like `$ref` and `format` are ignored.
+ *
+ * @param {JsonSchema}          schema
+ * @param {any}                 value
+ * @param {(string | number)[]} [path]
+ * @param {ValidationIssue[]}   [issues]
+ * @returns {ValidationIssue[]}
+ */
+const checkJsonSchema = (schema, value, path = [], issues = []) => {
+	const issue = message => issues.push({message, path})
+	if (schema === true) return issues
+	if (schema === false) {
+		issue('Not allowed')
+		return issues
+	}
+
+	const types = [].concat(schema.type ?? [])
+	if (types.length && !types.some(type => matchesType(type, value))) {
+		issue(`Expected ${types.join(' or ')}, got ${typeOf(value)}`)
+		return issues
+	}
+	if ('const' in schema && !isDeepStrictEqual(value, schema.const))
+		issue(`Expected ${JSON.stringify(schema.const)}`)
+	if (schema.enum && !schema.enum.some(v => isDeepStrictEqual(v, value)))
+		issue(`Expected one of ${JSON.stringify(schema.enum)}`)
+
+	if (typeof value === 'string') {
+		const {length} = [...value]
+		if (schema.minLength !== undefined && length < schema.minLength)
+			issue(`Expected at least ${schema.minLength} characters`)
+		if (schema.maxLength !== undefined && length > schema.maxLength)
+			issue(`Expected at most ${schema.maxLength} characters`)
+		if (schema.pattern && !new RegExp(schema.pattern, 'u').test(value))
+			issue(`Expected to match ${schema.pattern}`)
+	}
+
+	if (typeof value === 'number') {
+		if (schema.minimum !== undefined && value < schema.minimum)
+			issue(`Expected >= ${schema.minimum}`)
+		if (schema.maximum !== undefined && value > schema.maximum)
+			issue(`Expected <= ${schema.maximum}`)
+		if (
+			schema.exclusiveMinimum !== undefined &&
+			value <= schema.exclusiveMinimum
+		)
+			issue(`Expected > ${schema.exclusiveMinimum}`)
+		if (
+			schema.exclusiveMaximum !== undefined &&
+			value >= schema.exclusiveMaximum
+		)
+			issue(`Expected < ${schema.exclusiveMaximum}`)
+	}
+
+	if (Array.isArray(value)) {
+		if (schema.minItems !== undefined && value.length < schema.minItems)
+			issue(`Expected at least ${schema.minItems} items`)
+		if (schema.maxItems !== undefined && value.length > schema.maxItems)
+			issue(`Expected at most ${schema.maxItems} items`)
+		if (schema.items !== undefined) {
+			for (const [i, item] of value.entries())
+				checkJsonSchema(schema.items, item, [...path, i], issues)
+		}
+	}
+
+	if (typeOf(value) === 'object') {
+		for (const name of schema.required || []) {
+			if (!hasOwn(value, name))
+				issues.push({message: 'Required', path: [...path, name]})
+		}
+		const properties = schema.properties || {}
+		for (const [name, item] of Object.entries(value)) {
+			const itemPath = [...path, name]
+			if (hasOwn(properties, name))
+				checkJsonSchema(properties[name], item, itemPath, issues)
+			else if (schema.additionalProperties === false)
+				issues.push({message: 'Unexpected property', path: itemPath})
+			else if (schema.additionalProperties !== undefined)
+				checkJsonSchema(schema.additionalProperties, item, itemPath, issues)
+		}
+	}
+
+	for (const sub of schema.allOf || [])
+		checkJsonSchema(sub, value, path, issues)
+	const matching = subs =>
+		subs.filter(sub => !checkJsonSchema(sub, value, path).length).length
+	if (schema.anyOf && !matching(schema.anyOf))
+		issue('Expected to match a schema in anyOf')
+	if (schema.oneOf && matching(schema.oneOf) !== 1)
+		issue('Expected to match exactly one schema in oneOf')
+	if (
+		schema.not !== undefined &&
+		!checkJsonSchema(schema.not, value, path).length
+	)
+		issue('Expected not to match the schema in not')
+	return issues
+}
+
+/**
+ * Whether `schema` is a Standard Schema, those of arktype are functions.
+ *
+ * @param {any} schema
+ * @returns {schema is StandardSchema}
+ */
+const isStandardSchema = schema =>
+	(typeof schema === 'object' || typeof schema === 'function') &&
+	schema !== null &&
+	'~standard' in schema
+
+/**
+ * Turns a Standard Schema (zod, valibot, arktype, ...) or a JSON Schema into a
+ * `validate.json` function that throws ValidationError. It resolves with the
+ * schema's output, with its transforms, defaults and coercions, `schema` marks
+ * it for `json()` to return that.
+ *
+ * @param {StandardSchema | JsonSchema} schema
+ * @returns {ValidateFn & {schema: StandardSchema | JsonSchema}}
+ */
+const makeSchemaValidator = schema => {
+	/** @type {ValidateFn} */
+	const validate = async (data, state) => {
+		let issues
+		let value = data
+		if (isStandardSchema(schema)) {
+			const result = await schema['~standard'].validate(data)
+			issues = result.issues?.map(({message, path = []}) => ({
+				message,
+				path: path.map(segment =>
+					typeof segment === 'object' ? segment.key : segment
+				),
+			}))
+			if (!issues) ({value} = result)
+		} else {
+			issues = checkJsonSchema(schema, data)
+		}
+		if (issues?.length) throw new ValidationError(issues, state)
+		return value
+	}
+	return Object.assign(validate, {schema})
+}
+
+module.exports = {checkJsonSchema, isStandardSchema, makeSchemaValidator}
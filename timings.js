@@ -0,0 +1,130 @@
+// Request phase timings from undici diagnostics channels
+const diagnosticsChannel = require('diagnostics_channel')
+const {AsyncLocalStorage} = require('async_hooks')
+const {performance} = require('perf_hooks')
+
+// The attempt whose `fetch` call we're in
+const storage = new AsyncLocalStorage()
+/** @type {WeakMap<Object, TimingRecord>} */
+const requests = new WeakMap()
+const usedSockets = new WeakSet()
+let subscribed = false
+
+/**
+ * @typedef {{
+ * 	start: number
+ * 	connectStart?: number
+ * 	lookupEnd?: number
+ * 	tcpEnd?: number
+ * 	connectEnd?: number
+ * 	awaitingSocket?: boolean
+ * 	reused?: boolean
+ * 	headersSent?: number
+ * 	bodySent?: number
+ * 	firstByte?: number
+ * 	bodyDone?: number
+ * }} TimingRecord
+ */
+
+const subscribe = () => {
+	const on = (name, fn) => diagnosticsChannel.subscribe(name, fn)
+	on('undici:request:create', ({request}) => {
+		const record = storage.getStore()
+		if (record) requests.set(request, record)
+	})
+	on('undici:client:beforeConnect', () => {
+		const record = storage.getStore()
+		if (!record) return
+		Object.assign(record, {
+			connectStart: performance.now(),
+			lookupEnd: undefined,
+			tcpEnd: undefined,
+			connectEnd: undefined,
+			awaitingSocket: true,
+		})
+	})
+	// Undici doesn't tell DNS and TCP apart, the socket does. Node only
+	// publishes plain sockets, undici creates ours right after beforeConnect.
+	on('net.client.socket', ({socket}) => {
+		const record = storage.getStore()
+		if (!record?.awaitingSocket) return
+		record.awaitingSocket = false
+		socket.once('lookup', () => {
+			record.lookupEnd = performance.now()
+		})
+		socket.once('connect', () => {
+			record.tcpEnd = performance.now()
+		})
+	})
+	on('undici:client:connected', () => {
+		const record = storage.getStore()
+		if (!record) return
+		record.connectEnd = performance.now()
+		record.awaitingSocket = false
+	})
+	on('undici:client:sendHeaders', ({request, socket}) => {
+		const record = requests.get(request)
+		if (!record) return
+		record.headersSent = performance.now()
+		record.reused = usedSockets.has(socket)
+		usedSockets.add(socket)
+	})
+	on('undici:request:bodySent', ({request}) => {
+		const record = requests.get(request)
+		if (record) record.bodySent = performance.now()
+	})
+	on('undici:request:headers', ({request}) => {
+		const record = requests.get(request)
+		if (record) record.firstByte = performance.now()
+	})
+	on('undici:request:trailers', ({request}) => {
+		const record = requests.get(request)
+		if (record) record.bodyDone = performance.now()
+	})
+	subscribed = true
+}
+
+/**
+ * Runs `fn` (which calls undici's fetch) recording its timings into a new
+ * record.
+ *
+ * @param {(record: TimingRecord) => T} fn
+ * @returns {T}
+ * @template T
+ */
+const recordTimings = fn => {
+	if (!subscribed) subscribe()
+	const record = {start: performance.now()}
+	return storage.run(record, fn, record)
+}
+
+const since = (from, to) =>
+	from === undefined || to === undefined ? undefined : to - from
+
+/**
+ * Turns a record into phase durations in ms. `dns` and `connect` are only set
+ * for new connections.
+ *
+ * @param {TimingRecord | undefined} record
+ * @param {number}                   queue
+ * @returns {FetchTimings}
+ */
+const getTimings = (record, queue) => {
+	/** @type {FetchTimings} */
+	const timings = {queue}
+	if (!record) return timings
+	const {connectStart, lookupEnd, tcpEnd, connectEnd} = record
+	if (connectStart !== undefined && !record.reused) {
+		timings.dns = since(connectStart, lookupEnd)
+		timings.connect = since(lookupEnd ?? connectStart, tcpEnd ?? connectEnd)
+	}
+	Object.assign(timings, {
+		requestSent: since(record.headersSent, record.bodySent),
+		firstByte: since(record.bodySent, record.firstByte),
+		bodyDone: since(record.firstByte, record.bodyDone),
+		reused: record.reused,
+	})
+	return timings
+}
+
+module.exports = {recordTimings, getTimings}
@@ -1,8 +1,18 @@
 declare module 'fetch-extra'
 
 type Resource = RequestInfo
-type FetchResponse = Response & {
+type FetchResponse = Omit<Response, 'json'> & {
 	completed: Promise<FetchStats>
+	/** Fails with ParseError for invalid JSON */
+	json<T = any>(): Promise<T>
+}
+/** The response promise also has the body methods */
+type FetchPromise = Promise<FetchResponse> & {
+	json<T = any>(): Promise<T>
+	text(): Promise<string>
+	arrayBuffer(): Promise<ArrayBuffer>
+	blob(): Promise<Blob>
+	formData(): Promise<FormData>
 }
 type RetryResponse =
 	| {
@@ -10,8 +20,23 @@ type RetryResponse =
 			options?: FetchOptions
 	  }
 	| boolean
+type RetryOptions = {
+	/** Total number of attempts, defaults to 3 */
+	attempts?: number
+	/** Defaults to `'exponential'` */
+	backoff?: 'exponential' | 'fixed' | ((params: RetryFnParams) => number)
+	/** Defaults to 100ms */
+	baseDelay?: number
+	/** Defaults to 30s */
+	maxDelay?: number
+	/** Defaults to `'full'` for exponential backoff, `'none'` otherwise */
+	jitter?: 'full' | 'equal' | 'none'
+	/** Methods to retry, defaults to the idempotent ones */
+	methods?: string[]
+}
 type RetryDef =
 	| number
+	| RetryOptions
 	| ((params: RetryFnParams) => Promise<RetryResponse> | RetryResponse)
 declare class FetchState {
 	id: number | string
@@ -20,24 +45,146 @@ declare class FetchState {
 	userSignal?: AbortSignal
 	retry?: RetryDef
 	attempt: number
+	/** Outcome of every finished attempt */
+	attempts: AttemptRecord[]
+	/** Number of times the body download was resumed with a Range request */
+	resumes: number
+	/** Time spent waiting in `makeFetch` limits */
+	queueDuration: number
+	/** Set by the `makeFetch` cache */
+	cache?: 'hit' | 'revalidated' | 'miss'
+	/** Sent as `Idempotency-Key` on every attempt */
+	idempotencyKey?: string
+	/** Delay in ms before the upcoming (or last) retry */
+	nextDelay?: number
+	/** Phase durations of the current attempt */
+	readonly timings: FetchTimings
 	completed: Promise<FetchStats>
 	startTs?: number
 	bodyTs?: number
 	size?: number
+	/** Bytes uploaded so far, only for streaming, Blob and Buffer bodies */
+	uploadSize?: number
+	uploadDuration?: number
+}
+type AttemptRecord = {
+	attempt: number
+	resource: Resource
+	/** Response status, if there was a response */
+	status?: number
+	error?: Error
+	/** The timeout that hit the attempt */
+	timedout?: string
+	duration: number
+	size?: number
+}
+/** Phase durations in ms, `dns` and `connect` only for new connections */
+type FetchTimings = {
+	/** Waiting in `makeFetch` limits */
+	queue: number
+	dns?: number
+	/** TCP connect, includes the TLS handshake for HTTPS */
+	connect?: number
+	/** From sending the headers until the body was sent */
+	requestSent?: number
+	/** From the request being sent until the response headers arrived */
+	firstByte?: number
+	/** From the response headers until the body was received */
+	bodyDone?: number
+	/** Whether the request went over a connection used before */
+	reused?: boolean
 }
 type FetchStats = {
 	size: number
 	duration: number
 	attempts: number
+	resumes: number
+	/** Time spent waiting in `makeFetch` limits, not included in `duration` */
+	queueDuration: number
+	/** Of the last attempt */
+	timings: FetchTimings
+	/** `state.attempts` */
+	history: AttemptRecord[]
+	/** How the `makeFetch` cache served the response */
+	cache?: 'hit' | 'revalidated' | 'miss'
 	speed: number
+	uploadSize?: number
+	uploadSpeed?: number
 }
 type RetryFnParams = {
 	state: FetchState
 	error?: Error
 	response?: FetchResponse
 }
+type FetchProgress = {
+	/** Bytes transferred so far in this attempt */
+	loaded: number
+	/** From Content-Length, if known */
+	total?: number
+	/** Bytes per ms, like `FetchStats.speed` */
+	speed: number
+	attempt: number
+	direction: 'download' | 'upload'
+}
+type LogEvent =
+	| 'start'
+	| 'response'
+	| 'retry'
+	| 'queue'
+	| 'progress'
+	| 'done'
+	| 'failed'
+type LogLevel = 'trace' | 'debug' | 'info' | 'warn' | 'error' | 'fatal'
+/** Pino, console and most other loggers fit */
+type Logger = {
+	[level in LogLevel]?: (fields: {[key: string]: any}, message: string) => void
+}
+type FetchHooks = {
+	/** Before every attempt, may change `state.resource` and `state.options` */
+	beforeRequest?: ((state: FetchState) => Promise<void> | void)[]
+	/** After every attempt's response headers, may return a replacement */
+	afterResponse?: ((
+		response: Response,
+		state: FetchState
+	) => Promise<Response | void> | Response | void)[]
+	/** Once a retry is decided, before waiting `delay`, throwing cancels it */
+	beforeRetry?: ((params: {
+		state: FetchState
+		error?: Error
+		response?: Response
+		delay: number
+	}) => Promise<void> | void)[]
+	/** Once `completed` settles, errors are ignored */
+	onComplete?: ((
+		result: FetchStats | Error,
+		state: FetchState
+	) => Promise<void> | void)[]
+}
 type ValidateFn = (data: any, state: FetchState) => Promise<void> | void
+type ValidationIssue = {
+	message: string
+	path: PropertyKey[]
+}
+/** https://standardschema.dev */
+type StandardSchema = {
+	'~standard': {
+		version: 1
+		vendor: string
+		validate(value: unknown):
+			| {value: unknown; issues?: undefined}
+			| {
+					issues: {
+						message: string
+						path?: (PropertyKey | {key: PropertyKey})[]
+					}[]
+			  }
+			| Promise<any>
+	}
+}
+type JsonSchema = boolean | {[keyword: string]: any}
 type FetchOptions = RequestInit & {
+	/** Sent as the JSON body, sets Content-Type and Accept unless given */
+	json?: unknown
 	retry?: RetryDef
 	timeout?: number
 	timeouts?: {
@@ -45,6 +192,10 @@ type FetchOptions = RequestInit & {
 		request?: number
 		stall?: number
 		body?: number
+		upload?: number
+		uploadStall?: number
+		/** Waiting for a `makeFetch` concurrency slot, fails with QueueTimeoutError */
+		queue?: number
 	}
 	validate?:
 		| true
@@ -54,12 +205,225 @@ type FetchOptions = RequestInit & {
 				buffer?: ValidateFn
 				blob?: ValidateFn
 				arrayBuffer?: ValidateFn
-				json?: ValidateFn
+				/** A function, a Standard Schema (zod, valibot, ...) or a JSON Schema */
+				json?: ValidateFn | StandardSchema | JsonSchema
 				text?: ValidateFn
 				textConverted?: ValidateFn
+				/** Retry when validation fails, defaults to true */
+				retryInvalid?: boolean
 		  }
+	/**
+	 * Read the start of non-2xx bodies for `validate: true` into
+	 * `HttpError.body` and `HttpError.json`, up to `maxBytes` (default 4096)
+	 * or `timeout` ms (default 1000)
+	 */
+	errorBody?: boolean | {maxBytes?: number; timeout?: number}
+	/**
+	 * Largest body in bytes, larger Content-Length or downloaded bodies fail with
+	 * SizeLimitError
+	 */
+	maxSize?: number
 	signal?: AbortSignal
+	hooks?: FetchHooks
+	/**
+	 * Called during body downloads and streaming, Blob or Buffer uploads, at
+	 * most once per `progressInterval` and once when the transfer is done
+	 */
+	onProgress?: (progress: FetchProgress) => void
+	/** Defaults to 500ms */
+	progressInterval?: number
+	/**
+	 * Gets structured events (`{event, id, fullId, ...fields}, message`),
+	 * without it they go to `debug('fetch')`
+	 */
+	logger?: Logger
+	/**
+	 * Level per event, `false` skips it. Defaults to `retry: 'warn'`, `done:
+	 * 'info'`, `failed: 'error'` and `'debug'` for the others
+	 */
+	logLevels?: {[event in LogEvent]?: LogLevel | false}
+	/**
+	 * Header and query parameter names whose values are hidden in logs, error
+	 * messages and `toJSON()`, case-insensitive. Defaults to Authorization,
+	 * Proxy-Authorization, Cookie, Set-Cookie, Api-Key and X-Api-Key
+	 */
+	redact?: string[]
+	/**
+	 * Resume interrupted or stalled GET body downloads with `Range`/`If-Range`
+	 * requests, `true` allows 3 resumes
+	 */
+	resume?: boolean | number
+	/**
+	 * `Idempotency-Key` header to send on every attempt, `true` generates a
+	 * UUID
+	 */
+	idempotencyKey?: true | string | ((state: FetchState) => string)
+	/**
+	 * Longest server-requested wait (`Retry-After`, `RateLimit-Reset`) to honor
+	 * before retrying a 429/503, defaults to 60s
+	 */
+	maxRetryAfter?: number
 	// import doesn't work
 	// limiter?: ReturnType<import('async-sema').RateLimit>
 	limiter?: () => Promise<void>
+	/** Wraps every attempt, the first one is the outermost */
+	middleware?: Middleware[]
+	/** Position in `makeFetch` queues, higher goes first, defaults to 0 */
+	priority?: number
+}
+type Dispatch = (
+	resource: Resource,
+	options: FetchOptions,
+	state: FetchState
+) => Promise<Response>
+type Middleware = (next: Dispatch) => Dispatch
+type MakeFetchOptions = FetchOptions & {
+	maxParallel?: number
+	/** Requests waiting for `maxParallel` beyond this fail with QueueFullError */
+	maxQueued?: number
+	maxRps?: number
+	/** Limits applied to each origin separately, before the global ones */
+	perOrigin?: PerOriginOptions
+	/** Per-origin circuit breaker, exposed as `circuitBreaker` on the result */
+	circuitBreaker?: true | CircuitBreakerOptions
+	/** RFC 9111 HTTP cache, exposed as `cache` on the result */
+	cache?: true | CacheOptions
+	/** Shares one request between identical concurrent GET and HEAD requests */
+	dedupe?: true | DedupeOptions
+}
+type SearchParamsInit =
+	| string
+	| URLSearchParams
+	| [string, string][]
+	| {[name: string]: string | number | boolean | undefined}
+type ClientOptions = MakeFetchOptions & {
+	/** Relative resources are appended to its path */
+	baseURL?: string | URL
+	/** Added to the query of string and URL resources */
+	searchParams?: SearchParamsInit
+}
+/** The `makeFetch` options, only `createClient` takes them */
+type LimitOptionKey =
+	| 'middleware'
+	| 'maxParallel'
+	| 'maxQueued'
+	| 'maxRps'
+	| 'perOrigin'
+	| 'circuitBreaker'
+	| 'cache'
+	| 'dedupe'
+type ClientCallOptions = Omit<ClientOptions, LimitOptionKey> & {
+	cache?: RequestCache
+}
+type Client = ((
+	resource: Resource,
+	options?: ClientCallOptions
+) => FetchPromise) & {
+	options: ClientOptions
+	/** Derives a client with merged options, sharing the middleware */
+	extend(overrides: ClientCallOptions): Client
+	circuitBreaker?: CircuitBreaker
+	cache?: {store: CacheStore}
+}
+type DedupeOptions = {
+	/**
+	 * Request headers that are part of the key, defaults to Accept,
+	 * Accept-Encoding, Accept-Language, Authorization and Cookie
+	 */
+	headers?: string[]
+}
+type CacheEntry = {
+	status: number
+	statusText: string
+	headers: [string, string][]
+	/** Request header values the response varies on */
+	vary: {[header: string]: string | null}
+	requestTime: number
+	responseTime: number
+	/** Age in ms when received */
+	initialAge: number
+	body: Buffer
+}
+type CacheStore = {
+	get(key: string): Promise<CacheEntry | undefined> | CacheEntry | undefined
+	set(key: string, entry: CacheEntry): Promise<void> | void
+	delete(key: string): Promise<void> | void
+}
+type CacheOptions = {
+	/** Defaults to a `MemoryCacheStore` with 500 entries */
+	store?: CacheStore
+	/** Larger bodies are not stored, defaults to 10MB */
+	maxEntrySize?: number
+}
+type CircuitBreakerOptions = {
+	/** Consecutive failures that open the circuit, defaults to 5 */
+	failureThreshold?: number
+	/** Failed share of the last `windowSize` attempts that opens the circuit */
+	failureRate?: number
+	/** Attempts needed before `failureRate` applies, defaults to 10 */
+	minRequests?: number
+	/** Defaults to 20 */
+	windowSize?: number
+	/** Defaults to 30s */
+	openDuration?: number
+	/** Probes let through while half-open, defaults to 1 */
+	halfOpenRequests?: number
+	/**
+	 * Origins without requests in flight are forgotten after this long, unless
+	 * their circuit is open, defaults to 60s
+	 */
+	idleTimeout?: number
+}
+type CircuitState = 'closed' | 'open' | 'half-open'
+type CircuitInfo = {
+	state: CircuitState
+	/** Consecutive failures */
+	failures: number
+	openedAt?: number
+}
+type CircuitBreaker = {
+	origins: Map<string, CircuitInfo>
+	getState: (url: string) => CircuitState
+	on: (
+		event: 'stateChange',
+		listener: (change: {
+			origin: string
+			state: CircuitState
+			previous: CircuitState
+		}) => void
+	) => void
+	off: (event: 'stateChange', listener: (...args: any[]) => void) => void
+}
+type OriginLimits = {
+	maxParallel?: number
+	maxQueued?: number
+	maxRps?: number
+}
+type PerOriginOptions = OriginLimits & {
+	/**
+	 * Limits for matching origins. Keys with `://` match the origin, others the
+	 * host, `*` is a wildcard. Use a Map or entries array for RegExp keys.
+	 */
+	overrides?:
+		| {[originOrGlob: string]: OriginLimits}
+		| Map<string | RegExp, OriginLimits>
+		| [string | RegExp, OriginLimits][]
+	/** Forget origins without requests for this long, defaults to 60s */
+	idleTimeout?: number
+}
+type DownloadOptions = FetchOptions & {
+	/** Digest algorithm for `crypto.createHash`, defaults to `'sha256'` */
+	hash?: string
+	/** Hex digest the download must match */
+	expectedHash?: string
+	/** Size in bytes the download must match */
+	expectedSize?: number
+	/** Defaults to `true`, error responses aren't saved */
+	validate?: FetchOptions['validate']
+}
+type OtelOptions = {
+	/** Defaults to the global one */
+	tracerProvider?: import('@opentelemetry/api').TracerProvider
+	/** Defaults to the global one */
+	meterProvider?: import('@opentelemetry/api').MeterProvider
 }